@@ -0,0 +1,272 @@
+// ---------------------------------------------------------------------------
+// Postal addresses – recipient and billing input → one normalized shape
+//   { firstName, lastName, phone, address1, address2, city,
+//     state, provinceCode, postalCode, country, countryName }
+// - country is required (there is no default) and stored as ISO-3166 alpha-2,
+//   resolved from a code, an English name or a
+//   common alias ("USA", "UK", "Deutschland", ...)
+// - countries with a region table (US, CA, AU) need a valid state/province;
+//   `state` is its name and `provinceCode` its code. Elsewhere the region is
+//   optional free text.
+// - postal codes are checked and reformatted per country where the format is
+//   known, and optional in countries that have none
+// toUcpAddress() maps the normalized shape onto UCP/schema.org field names.
+// ---------------------------------------------------------------------------
+
+// Officially assigned ISO-3166-1 alpha-2 codes; names come from Intl
+const COUNTRY_CODES = `
+AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL
+BM BN BO BQ BR BS BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV
+CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK FM FO FR GA GB GD
+GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM
+IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY KZ LA LB LC LI LK
+LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV MW
+MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR
+PS PT PW PY QA RE RO RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS
+ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY
+UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW`.trim().split(/\s+/);
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+const COUNTRY_NAMES = Object.fromEntries(COUNTRY_CODES.map(code => [code, regionNames.of(code)]));
+
+// Spellings Intl does not produce
+const COUNTRY_ALIASES = {
+  'usa': 'US', 'u s': 'US', 'u s a': 'US', 'america': 'US', 'united states of america': 'US',
+  'uk': 'GB', 'u k': 'GB', 'great britain': 'GB', 'britain': 'GB', 'england': 'GB',
+  'scotland': 'GB', 'wales': 'GB', 'northern ireland': 'GB',
+  'deutschland': 'DE', 'holland': 'NL', 'the netherlands': 'NL', 'espana': 'ES', 'turkey': 'TR',
+  'czech republic': 'CZ', 'ivory coast': 'CI', 'burma': 'MM', 'republic of korea': 'KR',
+  'korea': 'KR', 'russian federation': 'RU', 'vatican city': 'VA', 'uae': 'AE',
+  'can': 'CA', 'aus': 'AU', 'gbr': 'GB', 'deu': 'DE', 'fra': 'FR', 'mex': 'MX', 'nzl': 'NZ', 'irl': 'IE'
+};
+
+// "Côte d’Ivoire" → "cote d ivoire"
+const simplify = value => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const COUNTRY_LOOKUP = new Map(Object.entries(COUNTRY_ALIASES));
+for (const [code, name] of Object.entries(COUNTRY_NAMES)) {
+  COUNTRY_LOOKUP.set(simplify(name), code);
+  // "Myanmar (Burma)" also matches "Myanmar"
+  const short = simplify(name.replace(/\s*\(.*\)$/, ''));
+  if (!COUNTRY_LOOKUP.has(short)) COUNTRY_LOOKUP.set(short, code);
+}
+
+function normalizeCountry(input) {
+  const raw = String(input || '').trim();
+  if (/^[A-Za-z]{2}$/.test(raw) && COUNTRY_NAMES[raw.toUpperCase()]) return raw.toUpperCase();
+  return COUNTRY_LOOKUP.get(simplify(raw)) || null;
+}
+
+const countryName = code => COUNTRY_NAMES[code] || null;
+
+// ---------------------------------------------------------------------------
+// Regions – countries where carriers need a valid state/province code
+// ---------------------------------------------------------------------------
+const REGIONS = {
+  US: {
+    label: 'State',
+    regions: {
+      AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+      CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+      HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas',
+      KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts',
+      MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri', MT: 'Montana',
+      NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico',
+      NY: 'New York', NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma',
+      OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+      SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+      WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+      AS: 'American Samoa', GU: 'Guam', MP: 'Northern Mariana Islands', PR: 'Puerto Rico',
+      VI: 'U.S. Virgin Islands', AA: 'Armed Forces Americas', AE: 'Armed Forces Europe',
+      AP: 'Armed Forces Pacific'
+    }
+  },
+  CA: {
+    label: 'Province',
+    regions: {
+      AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick',
+      NL: 'Newfoundland and Labrador', NS: 'Nova Scotia', NT: 'Northwest Territories', NU: 'Nunavut',
+      ON: 'Ontario', PE: 'Prince Edward Island', QC: 'Quebec', SK: 'Saskatchewan', YT: 'Yukon'
+    }
+  },
+  AU: {
+    label: 'State/territory',
+    regions: {
+      ACT: 'Australian Capital Territory', NSW: 'New South Wales', NT: 'Northern Territory',
+      QLD: 'Queensland', SA: 'South Australia', TAS: 'Tasmania', VIC: 'Victoria', WA: 'Western Australia'
+    }
+  }
+};
+
+// → { code, name } for table countries, the trimmed text elsewhere, or null
+function normalizeRegion(country, input) {
+  const raw = String(input || '').trim();
+  const table = REGIONS[country];
+  if (!table) return raw ? { code: raw, name: raw } : null;
+  if (!raw) return null;
+
+  const upper = raw.toUpperCase().replace(/^[A-Z]{2}-/, '');  // accept ISO-3166-2 "US-NY"
+  if (table.regions[upper]) return { code: upper, name: table.regions[upper] };
+  const wanted = simplify(raw);
+  const match = Object.entries(table.regions).find(([, name]) => simplify(name) === wanted);
+  return match ? { code: match[0], name: match[1] } : null;
+}
+
+// ---------------------------------------------------------------------------
+// Postal codes – pattern on the upper-cased input, format() rebuilds the
+// canonical spelling from the capture groups
+// ---------------------------------------------------------------------------
+const digits = (n, label = 'Postal code') => ({ label, pattern: new RegExp(`^(\\d{${n}})$`), example: '1234567890'.slice(0, n) });
+
+const POSTAL_CODES = {
+  US: { label: 'ZIP code', pattern: /^(\d{5})(?:[- ]?(\d{4}))?$/, format: m => (m[2] ? `${m[1]}-${m[2]}` : m[1]), example: '10001' },
+  CA: { label: 'Postal code', pattern: /^([ABCEGHJ-NPRSTVXY]\d[A-Z]) ?(\d[A-Z]\d)$/, format: m => `${m[1]} ${m[2]}`, example: 'K1A 0B1' },
+  GB: { label: 'Postcode', pattern: /^([A-Z]{1,2}\d[A-Z\d]?) ?(\d[A-Z]{2})$/, format: m => `${m[1]} ${m[2]}`, example: 'SW1A 1AA' },
+  IE: { label: 'Eircode', pattern: /^([AC-FHKNPRTV-Y]\d{2}|D6W) ?([0-9AC-FHKNPRTV-Y]{4})$/, format: m => `${m[1]} ${m[2]}`, example: 'D02 X285', optional: true },
+  NL: { label: 'Postcode', pattern: /^(\d{4}) ?([A-Z]{2})$/, format: m => `${m[1]} ${m[2]}`, example: '1012 AB' },
+  JP: { label: 'Postal code', pattern: /^(\d{3})-?(\d{4})$/, format: m => `${m[1]}-${m[2]}`, example: '100-0001' },
+  BR: { label: 'CEP', pattern: /^(\d{5})-?(\d{3})$/, format: m => `${m[1]}-${m[2]}`, example: '01310-100' },
+  PT: { label: 'Postal code', pattern: /^(\d{4})-?(\d{3})$/, format: m => `${m[1]}-${m[2]}`, example: '1000-001' },
+  PL: { label: 'Postal code', pattern: /^(\d{2})-?(\d{3})$/, format: m => `${m[1]}-${m[2]}`, example: '00-001' },
+  SE: { label: 'Postal code', pattern: /^(\d{3}) ?(\d{2})$/, format: m => `${m[1]} ${m[2]}`, example: '111 22' },
+  AU: digits(4, 'Postcode'), NZ: digits(4), AT: digits(4, 'PLZ'), BE: digits(4), CH: digits(4, 'PLZ'),
+  DK: digits(4), NO: digits(4), ZA: digits(4), PH: digits(4), HU: digits(4),
+  DE: digits(5, 'PLZ'), FR: digits(5), IT: digits(5, 'CAP'), ES: digits(5), FI: digits(5),
+  MX: digits(5), KR: digits(5), TR: digits(5), MY: digits(5), TH: digits(5),
+  IN: digits(6, 'PIN code'), CN: digits(6), SG: digits(6), RU: digits(6)
+};
+
+// Countries without a postal code system – the field is optional there
+const NO_POSTAL_CODE = new Set(`
+AE AG AO AW BF BI BJ BO BS BW BZ CD CF CG CI CK CM DJ DM ER FJ GA GD GH GM GQ
+GY HK JM KI KM KN KP LC ML MO MR MS MW NR NU QA RW SB SC SL SO SR SS ST SY TD
+TG TK TL TO TT TV UG VU YE ZW`.trim().split(/\s+/));
+
+// → { postalCode } or { error }
+function normalizePostalCode(country, input) {
+  const raw = String(input || '').trim().toUpperCase().replace(/\s+/g, ' ');
+  const rule = POSTAL_CODES[country];
+  if (!raw) {
+    return rule && !rule.optional ? { error: `${rule.label} is required` } : { postalCode: '' };
+  }
+  if (!rule) return { postalCode: raw };
+
+  const match = raw.match(rule.pattern);
+  if (!match) return { error: `${rule.label} should look like ${rule.example}` };
+  return { postalCode: rule.format ? rule.format(match) : match[1] };
+}
+
+// ---------------------------------------------------------------------------
+// Whole addresses
+// ---------------------------------------------------------------------------
+const LINE_MAX = 35;  // what merchants' address lines accept
+const text = value => String(value ?? '').trim();
+
+// → { address } or { error, fields: { field: message } }
+function normalizeAddress(input = {}) {
+  const fields = {};
+  // No default country: a missing one would be validated against US rules
+  const country = text(input.country) ? normalizeCountry(input.country) : null;
+  if (!text(input.country)) fields.country = 'Country is required';
+  else if (!country) fields.country = `Unknown country "${text(input.country)}"`;
+
+  const address = {
+    firstName: text(input.firstName),
+    lastName: text(input.lastName),
+    phone: text(input.phone),
+    address1: text(input.address1),
+    address2: text(input.address2),
+    city: text(input.city),
+    state: '',
+    provinceCode: '',
+    postalCode: '',
+    country,
+    countryName: countryName(country)
+  };
+
+  if (!address.firstName) fields.firstName = 'First name is required';
+  if (!address.address1) fields.address1 = 'Street address is required';
+  if (!address.city) fields.city = 'City is required';
+  if (address.address1.length > LINE_MAX) fields.address1 = `Street address must be ${LINE_MAX} characters or fewer`;
+  if (address.address2.length > LINE_MAX) fields.address2 = `Apartment, suite, etc. must be ${LINE_MAX} characters or fewer`;
+
+  if (country) {
+    // Older clients send the name in `state` and the code in `provinceCode`
+    const regionInput = input.provinceCode || input.state;
+    const region = normalizeRegion(country, regionInput);
+    if (region) {
+      address.state = region.name;
+      address.provinceCode = region.code;
+    } else if (REGIONS[country]) {
+      const label = REGIONS[country].label;
+      fields.state = text(regionInput) ? `Unknown ${label.toLowerCase()} "${text(regionInput)}"` : `${label} is required`;
+    }
+
+    const postal = normalizePostalCode(country, input.postalCode);
+    if (postal.error) fields.postalCode = postal.error;
+    else address.postalCode = postal.postalCode;
+  }
+
+  const errors = Object.values(fields);
+  if (errors.length) return { error: errors.join('; '), fields };
+  return { address };
+}
+
+// Normalized address → UCP postal address (schema.org field names)
+function toUcpAddress(address) {
+  return {
+    first_name: address.firstName,
+    last_name: address.lastName || '',
+    phone_number: address.phone || '',
+    street_address: address.address1,
+    ...(address.address2 ? { extended_address: address.address2 } : {}),
+    address_locality: address.city,
+    address_region: address.provinceCode || address.state || '',
+    postal_code: address.postalCode || '',
+    address_country: address.country
+  };
+}
+
+// One-line summary, e.g. "1 Main St, Apt 4, Toronto, ON M5V 3L9, Canada"
+function formatAddress(address) {
+  const regionLine = [address.provinceCode || address.state, address.postalCode].filter(Boolean).join(' ');
+  return [address.address1, address.address2, address.city, regionLine, address.countryName || address.country]
+    .filter(Boolean)
+    .join(', ');
+}
+
+// What the recipient form needs per country
+function countryFormats() {
+  return COUNTRY_CODES
+    .map(code => {
+      const postal = POSTAL_CODES[code];
+      const regions = REGIONS[code];
+      return {
+        code,
+        name: COUNTRY_NAMES[code],
+        regionLabel: regions ? regions.label : 'State/province/region',
+        regions: regions ? Object.entries(regions.regions).map(([regionCode, name]) => ({ code: regionCode, name })) : null,
+        postalCodeLabel: postal ? postal.label : 'Postal code',
+        postalCodeExample: postal ? postal.example : null,
+        postalCodeRequired: Boolean(postal && !postal.optional),
+        hasPostalCode: !NO_POSTAL_CODE.has(code)
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  normalizeCountry,
+  countryName,
+  normalizeRegion,
+  normalizePostalCode,
+  normalizeAddress,
+  toUcpAddress,
+  formatAddress,
+  countryFormats
+};
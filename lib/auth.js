@@ -0,0 +1,143 @@
+// ---------------------------------------------------------------------------
+// Session authentication and group roles
+// People sign in with a magic link emailed to them (no passwords). Opening the
+// link – or accepting an invite, which proves the same thing – starts a
+// server-side session (collection "sessions") referenced by an httpOnly cookie.
+// Group routes then check the caller's role in that group:
+//   lead   – the group lead's email
+//   member – an invited member who accepted
+// ---------------------------------------------------------------------------
+const crypto = require('crypto');
+const tokens = require('./tokens');
+
+const SESSION_COOKIE = 'gift_sid';
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_DAYS || '30', 10) * 24 * 3600 * 1000;
+const LOGIN_TTL_SECONDS = 15 * 60;
+
+const sameEmail = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq < 0) continue;
+    cookies[part.slice(0, eq).trim()] = decodeURIComponent(part.slice(eq + 1).trim());
+  }
+  return cookies;
+}
+
+// The member entry behind an email. Revoked entries are skipped: an email
+// that was revoked and invited again can appear twice in older groups.
+const memberFor = (group, email) =>
+  group.members.find(m => sameEmail(m.email, email) && m.status !== 'revoked') || null;
+
+// Role of an email within a group: 'lead', 'member' or null
+function roleFor(group, email) {
+  if (!email) return null;
+  if (sameEmail(group.lead.email, email)) return 'lead';
+  const member = memberFor(group, email);
+  return member && member.status === 'accepted' ? 'member' : null;
+}
+
+function createAuth({ store }) {
+  // Attach req.session (or null) from the session cookie
+  async function sessionMiddleware(req, res, next) {
+    try {
+      req.session = null;
+      const sid = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+      if (sid) {
+        const session = await store.get('sessions', sid);
+        if (session && Date.parse(session.expiresAt) > Date.now()) req.session = session;
+        else if (session) await store.remove('sessions', sid);
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async function startSession(res, email) {
+    const session = {
+      id: crypto.randomBytes(32).toString('hex'),
+      email: email.trim().toLowerCase(),
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString()
+    };
+    await store.put('sessions', session.id, session);
+    // Expired sessions are only dropped on use otherwise; clear the rest here
+    await store.prune('sessions', s => Date.parse(s.expiresAt) <= Date.now());
+    res.cookie(SESSION_COOKIE, session.id, {
+      httpOnly: true,
+      secure: true,
+      sameSite: 'lax',
+      maxAge: SESSION_TTL_MS
+    });
+    return session;
+  }
+
+  async function endSession(req, res) {
+    if (req.session) await store.remove('sessions', req.session.id);
+    res.clearCookie(SESSION_COOKIE);
+  }
+
+  // Magic links are single use: the token id is burned on first redemption
+  function createLoginToken(email) {
+    const jti = crypto.randomBytes(12).toString('hex');
+    return tokens.sign('login', { email: email.trim().toLowerCase(), jti }, LOGIN_TTL_SECONDS);
+  }
+
+  async function redeemLoginToken(token) {
+    const payload = tokens.verify('login', token);
+    if (await store.get('usedLoginTokens', payload.jti)) {
+      const err = new Error('This sign-in link has already been used');
+      err.code = 'TOKEN_INVALID';
+      throw err;
+    }
+    await store.put('usedLoginTokens', payload.jti, { usedAt: new Date().toISOString(), exp: payload.exp });
+    // An expired link fails verify() anyway, so its burned id is not needed
+    await store.prune('usedLoginTokens', used => tokens.hasExpired(used));
+    return payload.email;
+  }
+
+  function requireAuth(req, res, next) {
+    if (!req.session) return res.status(401).json({ error: 'Sign in required' });
+    next();
+  }
+
+  // Load the group from :id (or body.groupId) into req.group and check the
+  // caller holds one of the allowed roles. Sets req.role and req.member.
+  function requireGroupRole(...roles) {
+    return async (req, res, next) => {
+      try {
+        if (!req.session) return res.status(401).json({ error: 'Sign in required' });
+        const groupId = req.params.id || req.body?.groupId;
+        const group = groupId ? await store.get('groups', String(groupId)) : null;
+        if (!group) return res.status(404).json({ error: 'Group not found' });
+
+        const role = roleFor(group, req.session.email);
+        // Non-members get a 404 so group IDs cannot be probed
+        if (!role) return res.status(404).json({ error: 'Group not found' });
+        if (!roles.includes(role)) return res.status(403).json({ error: `Only the group ${roles.join(' or ')} can do that` });
+
+        req.group = group;
+        req.role = role;
+        req.member = memberFor(group, req.session.email);
+        next();
+      } catch (err) {
+        next(err);
+      }
+    };
+  }
+
+  return {
+    sessionMiddleware,
+    startSession,
+    endSession,
+    createLoginToken,
+    redeemLoginToken,
+    requireAuth,
+    requireGroupRole
+  };
+}
+
+module.exports = { createAuth, roleFor, memberFor, sameEmail };
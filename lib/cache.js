@@ -0,0 +1,73 @@
+// ---------------------------------------------------------------------------
+// TTL cache with stale-while-revalidate and request coalescing
+//   fresh   (age < ttlMs)            – served from the cache
+//   stale   (age < ttlMs + staleMs)  – served from the cache while one
+//                                      background reload refreshes it
+//   expired                          – the caller waits for a reload
+// Concurrent loads of the same key share one in-flight promise, so a burst
+// of identical requests reaches upstream once. Failed loads are not cached;
+// a failed background reload keeps serving the stale value.
+// ---------------------------------------------------------------------------
+
+function createCache({ ttlMs, staleMs = 0, maxEntries = 500, now = Date.now } = {}) {
+  const entries = new Map();   // key → { value, storedAt }
+  const inFlight = new Map();  // key → Promise
+  const stats = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, errors: 0 };
+
+  function store(key, value) {
+    entries.delete(key);
+    entries.set(key, { value, storedAt: now() });
+    while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  }
+
+  // Run loader once per key at a time
+  function load(key, loader) {
+    if (inFlight.has(key)) {
+      stats.coalesced++;
+      return inFlight.get(key);
+    }
+    const promise = Promise.resolve()
+      .then(loader)
+      .then(value => {
+        store(key, value);
+        return value;
+      })
+      .catch(err => {
+        stats.errors++;
+        throw err;
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  async function get(key, loader) {
+    const entry = entries.get(key);
+    const age = entry ? now() - entry.storedAt : Infinity;
+
+    if (age < ttlMs) {
+      stats.hits++;
+      return entry.value;
+    }
+    if (age < ttlMs + staleMs) {
+      stats.staleHits++;
+      load(key, loader).catch(err => console.error('[cache] Background refresh failed for', key, '-', err.message));
+      return entry.value;
+    }
+    stats.misses++;
+    return load(key, loader);
+  }
+
+  return {
+    get,
+    load,
+    delete: key => entries.delete(key),
+    clear: () => entries.clear(),
+    get size() {
+      return entries.size;
+    },
+    stats: () => ({ ...stats, size: entries.size, inFlight: inFlight.size })
+  };
+}
+
+module.exports = { createCache };
@@ -0,0 +1,463 @@
+// ---------------------------------------------------------------------------
+// Shopify Catalog API helpers
+// Token handling, search, mapping Catalog products to the shape the frontend
+// uses, and a mock catalog for running without credentials.
+// ---------------------------------------------------------------------------
+const fetch = require('node-fetch');
+const { createCache } = require('./cache');
+const { createRateLimiter } = require('./rate-limit');
+
+// Overridable so the offline stand-ins in mock/ can be swapped in
+const CATALOG_AUTH_URL = process.env.CATALOG_AUTH_URL || 'https://api.shopify.com/auth/access_token';
+const CATALOG_API_URL = (process.env.CATALOG_API_URL || 'https://discover.shopifyapps.com/global/v2').replace(/\/$/, '');
+const CATALOG_SEARCH_URL = `${CATALOG_API_URL}/search`;
+const CATALOG_PRODUCT_URL = `${CATALOG_API_URL}/p`;
+
+// Mock products carry variants like Catalog products do; the top-level
+// price/variantId/shopDomain fields mirror the first (default) variant.
+const mockProduct = ({ variants, ...product }) => {
+  const [first] = variants;
+  return {
+    ...product,
+    price: first.price,
+    currency: first.currency,
+    shopDomain: first.shopDomain,
+    variantId: first.id,
+    options: collectOptions(variants),
+    variants
+  };
+};
+
+const MOCK_PRODUCTS = [
+  {
+    id: '1',
+    title: 'Wireless Headphones',
+    product_type: 'Electronics',
+    merchant: 'Mock Audio Co',
+    rating: 4.4,
+    reviewCount: 312,
+    variants: [
+      { id: 'mock-variant-1-black', title: 'Black', options: [{ name: 'Color', value: 'Black' }], price: 99.99, currency: 'USD', available: true, image: null, shopDomain: null },
+      { id: 'mock-variant-1-white', title: 'White', options: [{ name: 'Color', value: 'White' }], price: 99.99, currency: 'USD', available: true, image: null, shopDomain: null },
+      { id: 'mock-variant-1-rose', title: 'Rose Gold', options: [{ name: 'Color', value: 'Rose Gold' }], price: 109.99, currency: 'USD', available: false, image: null, shopDomain: null }
+    ]
+  },
+  {
+    id: '2',
+    title: 'Ceramic Coffee Mug',
+    product_type: 'Home',
+    merchant: 'Mock Home Goods',
+    rating: 4.7,
+    reviewCount: 89,
+    variants: [
+      { id: 'mock-variant-2-small-sage', title: '8 oz / Sage', options: [{ name: 'Size', value: '8 oz' }, { name: 'Color', value: 'Sage' }], price: 19.99, currency: 'USD', available: true, image: null, shopDomain: null },
+      { id: 'mock-variant-2-small-clay', title: '8 oz / Clay', options: [{ name: 'Size', value: '8 oz' }, { name: 'Color', value: 'Clay' }], price: 19.99, currency: 'USD', available: true, image: null, shopDomain: null },
+      { id: 'mock-variant-2-large-sage', title: '12 oz / Sage', options: [{ name: 'Size', value: '12 oz' }, { name: 'Color', value: 'Sage' }], price: 24.99, currency: 'USD', available: true, image: null, shopDomain: null }
+    ]
+  },
+  {
+    id: '3',
+    title: 'Standing Desk Lamp',
+    product_type: 'Home',
+    merchant: 'Mock Home Goods',
+    rating: 4.1,
+    reviewCount: 41,
+    variants: [
+      { id: 'mock-variant-3-default', title: 'Default Title', options: [], price: 49.5, currency: 'USD', available: true, image: null, shopDomain: null }
+    ]
+  },
+  {
+    id: '4',
+    title: 'Scented Candle Trio',
+    product_type: 'Home',
+    merchant: 'Mock Home Goods',
+    rating: 4.8,
+    reviewCount: 204,
+    variants: [
+      { id: 'mock-variant-4-cedar', title: 'Cedar', options: [{ name: 'Scent', value: 'Cedar' }], price: 34, currency: 'USD', available: true, image: null, shopDomain: null },
+      { id: 'mock-variant-4-citrus', title: 'Citrus', options: [{ name: 'Scent', value: 'Citrus' }], price: 34, currency: 'USD', available: true, image: null, shopDomain: null }
+    ]
+  },
+  {
+    id: '5',
+    title: 'Leather Notebook',
+    product_type: 'Stationery',
+    merchant: 'Mock Paper Mill',
+    rating: 4.5,
+    reviewCount: 57,
+    variants: [
+      { id: 'mock-variant-5-a5', title: 'A5', options: [{ name: 'Size', value: 'A5' }], price: 28, currency: 'USD', available: true, image: null, shopDomain: null },
+      { id: 'mock-variant-5-a6', title: 'A6', options: [{ name: 'Size', value: 'A6' }], price: 22, currency: 'USD', available: true, image: null, shopDomain: null }
+    ]
+  },
+  {
+    id: '6',
+    title: 'Smart Speaker',
+    product_type: 'Electronics',
+    merchant: 'Mock Audio Co',
+    rating: 3.9,
+    reviewCount: 1280,
+    variants: [
+      { id: 'mock-variant-6-default', title: 'Default Title', options: [], price: 229, currency: 'USD', available: true, image: null, shopDomain: null }
+    ]
+  },
+  // Known working UCP test product – lets the checkout flow run without Catalog credentials
+  {
+    id: 'art-of-potato-mr-potato-head',
+    title: 'Mr Potato Head',
+    product_type: 'Toys',
+    image: 'https://cdn.shopify.com/s/files/1/0053/8342/2008/products/GUEST_4cf448b0-952c-4b1e-a49f-aff5591c37a7.jpg?v=1557862066',
+    merchant: 'Art of Potato',
+    variants: [
+      {
+        id: 'gid://shopify/ProductVariant/19509261107256',
+        title: 'Default Title',
+        options: [],
+        price: 14.95,
+        currency: 'USD',
+        available: true,
+        image: 'https://cdn.shopify.com/s/files/1/0053/8342/2008/products/GUEST_4cf448b0-952c-4b1e-a49f-aff5591c37a7.jpg?v=1557862066',
+        shopDomain: 'art-of-potato.myshopify.com'
+      }
+    ]
+  }
+].map(mockProduct);
+
+// ---------------------------------------------------------------------------
+// Upstream traffic control
+// Search and product responses are cached per normalized request (TTL with
+// stale-while-revalidate); identical concurrent requests and token refreshes
+// share one upstream call; every call to the Catalog API passes the rate limiter.
+// ---------------------------------------------------------------------------
+const seconds = (name, fallback) => parseFloat(process.env[name] || fallback) * 1000;
+
+const responseCache = createCache({
+  ttlMs: seconds('CATALOG_CACHE_TTL_SECONDS', 60),
+  staleMs: seconds('CATALOG_CACHE_STALE_SECONDS', 300),
+  maxEntries: 500
+});
+
+const limiter = createRateLimiter({
+  ratePerSecond: parseFloat(process.env.CATALOG_RATE_LIMIT || '5'),
+  burst: parseInt(process.env.CATALOG_RATE_BURST || '10', 10),
+  maxWaitMs: 5000
+});
+
+// ---------------------------------------------------------------------------
+// Observers – the server turns these events into metrics:
+//   { type: 'request', kind: token | checkout_token | search | product, outcome, durationMs }
+//       one per HTTP call; outcome ok | not_found | http_error | network_error
+//   { type: 'search', outcome: ok | error }   one per searchCatalog(), cached or not
+//   { type: 'token_refresh', outcome: ok | error }
+// ---------------------------------------------------------------------------
+const observers = [];
+const observe = listener => { observers.push(listener); };
+const report = event => observers.forEach(listener => listener(event));
+
+// fetch() that waits for the rate limiter and rejects on HTTP errors, so
+// failures are never cached. The rate limit wait is not part of durationMs.
+async function catalogFetch(kind, url, options) {
+  await limiter.acquire();
+  const started = Date.now();
+  const done = outcome => report({ type: 'request', kind, outcome, durationMs: Date.now() - started });
+  let r;
+  try {
+    r = await fetch(url, options);
+  } catch (err) {
+    done('network_error');
+    throw err;
+  }
+  done(r.ok ? 'ok' : r.status === 404 ? 'not_found' : 'http_error');
+  if (!r.ok && r.status !== 404) throw new Error(`Catalog API responded ${r.status}`);
+  return r;
+}
+
+let catalogToken = null;
+let catalogTokenExpiry = 0;
+let tokenRequest = null;  // in-flight refresh shared by concurrent callers
+
+const isConfigured = () => !!(process.env.SHOPIFY_CATALOG_CLIENT_ID && process.env.SHOPIFY_CATALOG_CLIENT_SECRET);
+
+async function getCatalogToken() {
+  const clientId = process.env.SHOPIFY_CATALOG_CLIENT_ID;
+  const clientSecret = process.env.SHOPIFY_CATALOG_CLIENT_SECRET;
+  if (!clientId || !clientSecret) return null;
+
+  // Re-use token if still valid (with 60s buffer)
+  if (catalogToken && Date.now() < catalogTokenExpiry - 60000) {
+    return catalogToken;
+  }
+  if (tokenRequest) return tokenRequest;
+
+  tokenRequest = (async () => {
+    const r = await catalogFetch('token', CATALOG_AUTH_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ client_id: clientId, client_secret: clientSecret, grant_type: 'client_credentials' })
+    });
+    const body = await r.json();
+    if (body && body.access_token) {
+      catalogToken = body.access_token;
+      catalogTokenExpiry = Date.now() + (body.expires_in || 3600) * 1000;
+      return catalogToken;
+    }
+    throw new Error('Failed to obtain Catalog API token');
+  })().then(token => {
+    report({ type: 'token_refresh', outcome: 'ok' });
+    return token;
+  }, err => {
+    report({ type: 'token_refresh', outcome: 'error' });
+    throw err;
+  }).finally(() => {
+    tokenRequest = null;
+  });
+  return tokenRequest;
+}
+
+// A short-lived credential for one embedded checkout, exchanged for our
+// Catalog token (OAuth 2.0 token exchange, RFC 8693) and audience-bound to a
+// single checkout session on one shop. This – never the app-wide token – is
+// what goes into the ECP URL's ec_auth. Not cached: each launch gets its own.
+const TOKEN_EXCHANGE_GRANT = 'urn:ietf:params:oauth:grant-type:token-exchange';
+
+async function getCheckoutToken({ shopDomain, checkoutId }) {
+  const subjectToken = await getCatalogToken();
+  if (!subjectToken) throw new Error('Catalog API credentials are not configured');
+
+  const r = await catalogFetch('checkout_token', CATALOG_AUTH_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      client_id: process.env.SHOPIFY_CATALOG_CLIENT_ID,
+      client_secret: process.env.SHOPIFY_CATALOG_CLIENT_SECRET,
+      grant_type: TOKEN_EXCHANGE_GRANT,
+      subject_token: subjectToken,
+      subject_token_type: 'urn:ietf:params:oauth:token-type:access_token',
+      scope: 'embedded_checkout',
+      shop_domain: shopDomain,
+      checkout_id: checkoutId
+    })
+  });
+  const body = await r.json();
+  if (!body || !body.access_token || body.access_token === subjectToken) {
+    throw new Error('Failed to obtain a checkout-scoped token');
+  }
+  return body.access_token;
+}
+
+async function searchCatalog(query, options = {}) {
+  if (!isConfigured()) return null;
+
+  const params = new URLSearchParams();
+  if (query) params.set('query', query.trim().toLowerCase());
+  if (options.limit) params.set('limit', options.limit);
+  if (options.categories) params.set('categories', options.categories);
+  // Price bounds arrive in cents; the API takes major units
+  if (options.minPrice != null) params.set('min_price', (options.minPrice / 100).toFixed(2));
+  if (options.maxPrice != null) params.set('max_price', (options.maxPrice / 100).toFixed(2));
+  params.sort();
+
+  const url = `${CATALOG_SEARCH_URL}?${params.toString()}`;
+  try {
+    const body = await responseCache.get(`search:${params.toString()}`, async () => {
+      const token = await getCatalogToken();
+      const r = await catalogFetch('search', url, {
+        method: 'GET',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      return r.json();
+    });
+    report({ type: 'search', outcome: 'ok' });
+    return body;
+  } catch (err) {
+    report({ type: 'search', outcome: 'error' });
+    throw err;
+  }
+}
+
+// Fetch a single product (with all its variants) by Catalog product id
+async function lookupCatalogProduct(id) {
+  if (!isConfigured()) return null;
+
+  return responseCache.get(`product:${id}`, async () => {
+    const token = await getCatalogToken();
+    const r = await catalogFetch('product', `${CATALOG_PRODUCT_URL}/${encodeURIComponent(id)}`, {
+      method: 'GET',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (r.status === 404) return null;
+    return r.json();
+  });
+}
+
+const cacheStats = () => ({ ...responseCache.stats(), rateLimitQueued: limiter.queued });
+
+// "https://shop.example.com/cart/..." → "shop.example.com"
+function shopDomainFromUrl(url) {
+  const domainMatch = (url || '').match(/^https?:\/\/([^/]+)/);
+  return domainMatch ? domainMatch[1] : null;
+}
+
+// { Size: ['S', 'M'], Color: ['Red'] } across all variants, in first-seen order
+function collectOptions(variants) {
+  const options = [];
+  for (const variant of variants) {
+    for (const { name, value } of variant.options) {
+      let option = options.find(o => o.name === name);
+      if (!option) options.push(option = { name, values: [] });
+      if (!option.values.includes(value)) option.values.push(value);
+    }
+  }
+  return options;
+}
+
+// Catalog API variant → frontend variant
+function mapCatalogVariant(v, p) {
+  const price = v.price?.amount ?? p.priceRange?.min?.amount;
+  return {
+    id: v.id,
+    title: v.title || v.displayName || null,
+    options: (v.options || v.selectedOptions || []).map(o => ({ name: o.name, value: o.value })),
+    price: price != null ? (price / 100).toFixed(2) : null,
+    currency: v.price?.currency || p.priceRange?.min?.currency || 'USD',
+    available: v.availableForSale ?? v.available ?? true,
+    image: v.media?.[0]?.url || v.image?.url || null,
+    merchant: v.shop?.name || null,
+    // Extract the shop domain from variant URL for UCP/MCP checkout
+    shopDomain: shopDomainFromUrl(v.checkoutUrl || v.variantUrl),
+    checkoutUrl: v.checkoutUrl || null,
+    variantUrl: v.variantUrl || null
+  };
+}
+
+// Catalog API product → frontend product
+// Top-level variant fields (variantId, shopDomain, ...) describe the first variant;
+// `variants` has them all.
+function mapCatalogProduct(p) {
+  const variants = (p.variants || []).map(v => mapCatalogVariant(v, p));
+  const first = variants[0] || {};
+
+  return {
+    id: p.id,
+    title: p.title,
+    description: p.description,
+    product_type: p.techSpecs?.find(s => s.includes('Category'))?.replace('Category: ', '') || '',
+    price: p.priceRange?.min?.amount ? (p.priceRange.min.amount / 100).toFixed(2) : null,
+    currency: p.priceRange?.min?.currency || 'USD',
+    image: p.media?.[0]?.url || null,
+    images: (p.media || []).map(m => m.url).filter(Boolean),
+    merchant: first.merchant || null,
+    shopDomain: first.shopDomain || null,  // e.g. "happyhyggegifts.com" – needed for UCP/MCP checkout
+    rating: p.rating?.rating || null,
+    reviewCount: p.rating?.count || 0,
+    checkoutUrl: first.checkoutUrl || null,
+    variantUrl: first.variantUrl || null,
+    variantId: first.id || null,
+    options: collectOptions(variants),
+    variants
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Variants
+// Variant ids may carry query params (e.g. "?shop=12345"); compare without them.
+// ---------------------------------------------------------------------------
+const bareVariantId = id => String(id || '').split('?')[0];
+
+function findVariant(product, variantId) {
+  const wanted = bareVariantId(variantId);
+  if (!wanted) return null;
+  const variants = product.variants && product.variants.length
+    ? product.variants
+    : [{ id: product.variantId, price: product.price, currency: product.currency, shopDomain: product.shopDomain, options: [] }];
+  return variants.find(v => bareVariantId(v.id) === wanted) || null;
+}
+
+// Error message when variantId is not a purchasable variant of product at
+// shopDomain, or null when it is
+function variantError(product, variantId, shopDomain) {
+  const variant = findVariant(product, variantId);
+  if (!variant) return `Variant ${variantId} does not belong to "${product.title}"`;
+  if (variant.available === false) return `"${product.title}" (${variant.title}) is sold out`;
+  const variantShop = variant.shopDomain || product.shopDomain;
+  if (shopDomain && variantShop !== shopDomain) return `Variant ${variantId} is not sold by ${shopDomain}`;
+  return null;
+}
+
+// The product with its top-level fields switched to one variant – this is the
+// snapshot a wishlist item keeps, so checkout buys exactly what was picked
+function withVariant(product, variantId) {
+  const variant = variantId ? findVariant(product, variantId) : findVariant(product, product.variantId);
+  if (!variant) return null;
+  return {
+    ...product,
+    variantId: variant.id,
+    variantTitle: variant.title || null,
+    selectedOptions: variant.options || [],
+    price: variant.price ?? product.price,
+    currency: variant.currency || product.currency,
+    image: variant.image || product.image,
+    shopDomain: variant.shopDomain || product.shopDomain,
+    merchant: variant.merchant || product.merchant,
+    checkoutUrl: variant.checkoutUrl || product.checkoutUrl || null,
+    variantUrl: variant.variantUrl || product.variantUrl || null,
+    available: variant.available !== false
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Recently served products
+// Wishlist entries must come from products we actually served, never from a
+// client-supplied snapshot, so search results are remembered (bounded, LRU).
+// ---------------------------------------------------------------------------
+const RECENT_LIMIT = 1000;
+const recentProducts = new Map();
+
+function rememberProducts(products) {
+  for (const product of products) {
+    recentProducts.delete(product.id);
+    recentProducts.set(product.id, product);
+  }
+  while (recentProducts.size > RECENT_LIMIT) {
+    recentProducts.delete(recentProducts.keys().next().value);
+  }
+}
+
+function findProduct(id) {
+  return recentProducts.get(id) || MOCK_PRODUCTS.find(p => p.id === id) || null;
+}
+
+// Product detail: ask the Catalog API for the full product when configured,
+// falling back to what we served (or the mock catalog)
+async function getProduct(id) {
+  if (isConfigured()) {
+    try {
+      const body = await lookupCatalogProduct(id);
+      if (body && body.id) {
+        const product = mapCatalogProduct(body);
+        rememberProducts([product]);
+        return product;
+      }
+    } catch (err) {
+      console.error('Catalog product lookup failed, using served product:', err && err.message);
+    }
+  }
+  return findProduct(id);
+}
+
+module.exports = {
+  MOCK_PRODUCTS,
+  isConfigured,
+  observe,
+  getCatalogToken,
+  getCheckoutToken,
+  searchCatalog,
+  cacheStats,
+  mapCatalogProduct,
+  rememberProducts,
+  findProduct,
+  getProduct,
+  findVariant,
+  variantError,
+  withVariant
+};
@@ -0,0 +1,84 @@
+// ---------------------------------------------------------------------------
+// Embedded checkout launch links
+// The ECP URL carries its credential in `ec_auth`, so whatever goes there ends
+// up in the popup's address bar and history. It is therefore never the
+// app-wide Catalog token but one exchanged for the single checkout being
+// opened (catalog.getCheckoutToken). The lead gets a launch link to this
+// server, signed for one checkout session, one person and LAUNCH_TTL_SECONDS;
+// opening it burns the link, exchanges the token and redirects to the
+// merchant's checkout.
+//
+// continue_url has to point at the shop the session belongs to (the shop
+// domain or a subdomain of it, over https) or at the host we reach the shop's
+// UCP endpoint on (UCP_ENDPOINT_TEMPLATE, e.g. the mock merchant).
+// ---------------------------------------------------------------------------
+const crypto = require('crypto');
+
+const LAUNCH_TTL_SECONDS = 60;
+const ECP_VERSION = '2026-01-11';
+
+function launchError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function createCheckoutLaunch({ store, tokens, endpointFor, ttlSeconds = LAUNCH_TTL_SECONDS }) {
+  // → null when the URL may be opened for this shop, else the reason it may not
+  function continueUrlProblem(continueUrl, shopDomain) {
+    let url;
+    try {
+      url = new URL(continueUrl);
+    } catch (_) {
+      return 'continue_url is not a valid URL';
+    }
+    const host = url.hostname.toLowerCase();
+    const shop = String(shopDomain || '').toLowerCase();
+    if (url.username || url.password) return 'continue_url must not carry credentials';
+
+    if (url.protocol === 'https:' && shop && (host === shop || host.endsWith(`.${shop}`))) return null;
+
+    // The host we talk UCP to for this shop – the mock merchant runs on plain http
+    const endpoint = new URL(endpointFor(shopDomain));
+    if (url.origin === endpoint.origin && url.pathname.includes(`/${encodeURIComponent(shopDomain)}/`)) return null;
+
+    return `continue_url is not a checkout on ${shopDomain}`;
+  }
+
+  function issue({ groupId, checkoutId, shopDomain, continueUrl, email }) {
+    const jti = crypto.randomBytes(12).toString('hex');
+    return tokens.sign('checkout-launch', { groupId, checkoutId, shopDomain, continueUrl, email, jti }, ttlSeconds);
+  }
+
+  // Verifies and burns the link; throws with err.code TOKEN_INVALID / TOKEN_EXPIRED / LAUNCH_FORBIDDEN
+  async function redeem(token, { email }) {
+    const claims = tokens.verify('checkout-launch', token);
+    if (claims.email !== email) throw launchError('This checkout link was issued to someone else', 'LAUNCH_FORBIDDEN');
+    if (await store.get('usedLaunchTokens', claims.jti)) {
+      throw launchError('This checkout link has already been used', 'TOKEN_INVALID');
+    }
+    await store.put('usedLaunchTokens', claims.jti, { usedAt: new Date().toISOString(), exp: claims.exp });
+    await store.prune('usedLaunchTokens', used => tokens.hasExpired(used));
+    return claims;
+  }
+
+  // ECP query params per https://ucp.dev/specification/embedded-checkout/
+  function embeddedUrl(continueUrl, checkoutToken) {
+    const url = new URL(continueUrl);
+    url.searchParams.set('ec_version', ECP_VERSION);
+    url.searchParams.set('ec_auth', checkoutToken);
+    // Delegate fulfillment address — checkout will fire
+    // ec.fulfillment.address_change_request which the host responds to.
+    // Payment is NOT delegated; the embedded checkout handles it.
+    url.searchParams.set('ec_delegate', 'fulfillment.address_change');
+    // Skip Shop Pay redirect — without this the continue_url redirects
+    // through shop.app which requires an active Shop Pay session,
+    // causing a redirect loop that ends at the shop homepage.
+    url.searchParams.set('skip_shop_pay', 'true');
+    return url.toString();
+  }
+
+  return { continueUrlProblem, issue, redeem, embeddedUrl };
+}
+
+module.exports = { createCheckoutLaunch, LAUNCH_TTL_SECONDS };
@@ -0,0 +1,126 @@
+// ---------------------------------------------------------------------------
+// Group contributions – split-the-cost ledger
+// All money is tracked in minor units (cents) to avoid float drift. A group's
+// ledger lives on group.contributions:
+//   { targetAmount, currency, pledges: { [memberId]: { type, value } }, override, fundedAt }
+// fundedAt is set while the pledges cover the target (see updateFunding).
+// Pledge types:
+//   even    – an equal share of whatever fixed pledges leave uncovered, split
+//             over every active member without a fixed pledge (pledged or not),
+//             so a single even pledge never funds the whole gift
+//   amount  – a fixed amount in cents
+//   percent – a percentage of the target amount
+// ---------------------------------------------------------------------------
+
+const PLEDGE_TYPES = ['even', 'amount', 'percent'];
+
+// "14.95" | 14.95 → 1495
+function toCents(value) {
+  const n = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof n !== 'number' || !Number.isFinite(n) || n < 0) return null;
+  return Math.round(n * 100);
+}
+
+function emptyContributions() {
+  return { targetAmount: 0, currency: 'USD', pledges: {}, override: null, fundedAt: null };
+}
+
+function validatePledge({ type, value }) {
+  if (!PLEDGE_TYPES.includes(type)) return `Pledge type must be one of: ${PLEDGE_TYPES.join(', ')}`;
+  if (type === 'even') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return 'Pledge value must be a positive number';
+  if (type === 'percent' && n > 100) return 'Percent pledge cannot exceed 100';
+  return null;
+}
+
+// Normalize a validated pledge request into what we store
+function buildPledge({ type, value }, now = new Date()) {
+  const pledge = { type, updatedAt: now.toISOString() };
+  if (type === 'amount') pledge.value = toCents(Number(value));
+  if (type === 'percent') pledge.value = Number(value);
+  return pledge;
+}
+
+// Only members who accepted their invitation take part in the split
+const activeMembers = group => group.members.filter(m => m.status === 'accepted');
+
+// Resolve every pledge to a concrete amount and compute running totals
+function computeLedger(group) {
+  const contributions = group.contributions || emptyContributions();
+  const target = contributions.targetAmount || 0;
+  const members = activeMembers(group);
+  const memberIds = new Set(members.map(m => m.id));
+  const entries = Object.entries(contributions.pledges || {}).filter(([memberId]) => memberIds.has(memberId));
+
+  const amounts = {};
+  let fixedTotal = 0;
+  const evenMembers = [];
+  for (const [memberId, pledge] of entries) {
+    if (pledge.type === 'even') {
+      evenMembers.push(memberId);
+      continue;
+    }
+    const amount = pledge.type === 'percent' ? Math.round(target * pledge.value / 100) : pledge.value;
+    amounts[memberId] = amount;
+    fixedTotal += amount;
+  }
+
+  // Even shares split what is left among everyone who has not pledged a fixed
+  // amount; leftover cents go to the earliest even pledgers
+  if (evenMembers.length) {
+    const sharers = members.filter(m => !(m.id in amounts)).length;
+    const uncovered = Math.max(0, target - fixedTotal);
+    const share = Math.floor(uncovered / sharers);
+    const remainder = uncovered - share * sharers;
+    evenMembers.forEach((memberId, i) => {
+      amounts[memberId] = share + (i < remainder ? 1 : 0);
+    });
+  }
+
+  const pledged = Object.values(amounts).reduce((sum, n) => sum + n, 0);
+  const fullyFunded = target > 0 && pledged >= target;
+
+  return {
+    targetAmount: target,
+    currency: contributions.currency || 'USD',
+    pledged,
+    remaining: Math.max(0, target - pledged),
+    overfunded: Math.max(0, pledged - target),
+    fullyFunded,
+    override: contributions.override || null,
+    members: members.map(m => ({
+      memberId: m.id,
+      name: `${m.firstName || ''} ${m.lastName || ''}`.trim() || m.email,
+      pledge: contributions.pledges?.[m.id] || null,
+      amount: amounts[m.id] || 0
+    }))
+  };
+}
+
+// Checkout is allowed once the group is fully funded or the lead overrode it
+function canCheckout(group) {
+  const ledger = computeLedger(group);
+  return ledger.fullyFunded || !!ledger.override;
+}
+
+// Call after anything that moves the ledger. Returns true when the group just
+// became fully funded; dropping below the target clears fundedAt again.
+function updateFunding(group, now = new Date()) {
+  const { fullyFunded } = computeLedger(group);
+  const wasFunded = Boolean(group.contributions.fundedAt);
+  group.contributions.fundedAt = fullyFunded ? (group.contributions.fundedAt || now.toISOString()) : null;
+  return fullyFunded && !wasFunded;
+}
+
+module.exports = {
+  PLEDGE_TYPES,
+  activeMembers,
+  toCents,
+  emptyContributions,
+  validatePledge,
+  buildPledge,
+  computeLedger,
+  canCheckout,
+  updateFunding
+};
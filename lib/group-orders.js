@@ -0,0 +1,160 @@
+// ---------------------------------------------------------------------------
+// Group orders – one purchase spread across several merchants
+// The locked selection may hold items from different shops. UCP checkouts are
+// per shop, so a group order fans out into one checkout session per merchant
+// domain and reports an aggregate status across them.
+// Stored in the "groupOrders" collection:
+//   { id, groupId, status, createdAt, updatedAt,
+//     sessions: [{ shopDomain, lineItems, checkoutId, status, continueUrl, messages, error,
+//                  orderId, history: [{ status, at, source }],
+//                  events: [{ type, at, source, detail }] }] }
+// Session statuses are the UCP checkout statuses (incomplete, requires_escalation,
+// ready_for_complete, complete_in_progress, completed, canceled) plus our own
+// pending (not created yet) and failed (create_checkout errored).
+// `events` keeps the latest MAX_EVENTS things we heard about a session from
+// outside UCP calls – ECP messages reported by the host page and webhooks.
+// A session that failed, or was canceled (by the lead, or expired / canceled
+// by the merchant) before an order was placed, can be retried: it goes back
+// to pending and gets a new create_checkout, keeping its history.
+// ---------------------------------------------------------------------------
+const { v4: uuidv4 } = require('uuid');
+
+const SESSION_FAILED = 'failed';
+const SESSION_PENDING = 'pending';
+const SESSION_COMPLETED = 'completed';
+const SESSION_CANCELED = 'canceled';
+const MAX_EVENTS = 50;
+
+// Sessions in these states will not change any more
+const isSettled = session => [SESSION_COMPLETED, SESSION_FAILED, SESSION_CANCELED].includes(session.status);
+
+// [{ item, quantity }] → sessions grouped by shop domain (first-seen order)
+function planSessions(selected) {
+  const byShop = new Map();
+  for (const { item, quantity } of selected) {
+    const { shopDomain, variantId, title } = item.product;
+    if (!byShop.has(shopDomain)) byShop.set(shopDomain, []);
+    byShop.get(shopDomain).push({
+      itemId: item.id,
+      // Strip any query params from variantId (e.g. "?shop=12345")
+      variantId: variantId.split('?')[0],
+      title,
+      quantity
+    });
+  }
+
+  return [...byShop.entries()].map(([shopDomain, lineItems]) => ({
+    shopDomain,
+    lineItems,
+    checkoutId: null,
+    status: SESSION_PENDING,
+    continueUrl: null,
+    messages: [],
+    error: null,
+    orderId: null,
+    history: [],
+    events: []
+  }));
+}
+
+// Apply a status reported by UCP (or our own failure) to a session and log
+// every change in its history. Returns true when the status changed.
+function recordStatus(session, status, { source, messages, continueUrl, orderId, error } = {}, now = new Date()) {
+  if (messages) session.messages = messages;
+  if (continueUrl) session.continueUrl = continueUrl;
+  if (orderId) session.orderId = orderId;
+  if (error !== undefined) session.error = error;
+  if (!status || status === session.status) return false;
+
+  session.status = status;
+  session.history.push({ status, at: now.toISOString(), source: source || null });
+  return true;
+}
+
+function recordEvent(session, type, { source, detail } = {}, now = new Date()) {
+  session.events.push({ type, at: now.toISOString(), source: source || null, detail: detail || null });
+  if (session.events.length > MAX_EVENTS) session.events.splice(0, session.events.length - MAX_EVENTS);
+}
+
+// Failed or canceled before the merchant placed an order
+const isRetryable = session => [SESSION_FAILED, SESSION_CANCELED].includes(session.status) && !session.orderId;
+
+function resetForRetry(session, now = new Date()) {
+  recordEvent(session, 'retried', { source: 'retry', detail: { previousCheckoutId: session.checkoutId, previousStatus: session.status } }, now);
+  Object.assign(session, { checkoutId: null, continueUrl: null, messages: [], error: null });
+  recordStatus(session, SESSION_PENDING, { source: 'retry' }, now);
+}
+
+function findSession(order, checkoutId) {
+  return order.sessions.find(s => s.checkoutId === checkoutId) || null;
+}
+
+// Aggregate status across merchant sessions:
+//   completed | failed | partially_failed | requires_escalation | partially_completed | open
+function aggregateStatus(sessions) {
+  const statuses = sessions.map(s => s.status);
+  const count = status => statuses.filter(s => s === status).length;
+
+  if (count(SESSION_COMPLETED) === sessions.length) return 'completed';
+  if (count(SESSION_FAILED) + count(SESSION_CANCELED) === sessions.length) return 'failed';
+  if (count(SESSION_FAILED) + count(SESSION_CANCELED) > 0) return 'partially_failed';
+  if (count('requires_escalation') > 0) return 'requires_escalation';
+  if (count(SESSION_COMPLETED) > 0) return 'partially_completed';
+  return 'open';
+}
+
+function createGroupOrder(group, sessions, now = new Date()) {
+  return {
+    id: uuidv4(),
+    groupId: group.id,
+    status: aggregateStatus(sessions),
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    sessions
+  };
+}
+
+// Recompute the aggregate after sessions change
+function refresh(order, now = new Date()) {
+  order.status = aggregateStatus(order.sessions);
+  order.updatedAt = now.toISOString();
+  return order;
+}
+
+// Still waiting on at least one merchant
+const isActive = order => order.sessions.some(s => !isSettled(s));
+
+// At least one merchant took the order
+const hasPurchase = order => order.sessions.some(s => s.status === SESSION_COMPLETED);
+
+function summarize(order) {
+  const failed = order.sessions.filter(s => s.status === SESSION_FAILED);
+  return {
+    ...order,
+    merchants: order.sessions.length,
+    completed: order.sessions.filter(s => s.status === SESSION_COMPLETED).length,
+    failures: failed.map(s => ({ shopDomain: s.shopDomain, error: s.error })),
+    retryable: order.sessions.filter(isRetryable).length,
+    active: isActive(order)
+  };
+}
+
+module.exports = {
+  SESSION_FAILED,
+  SESSION_PENDING,
+  SESSION_COMPLETED,
+  SESSION_CANCELED,
+  isSettled,
+  isActive,
+  hasPurchase,
+  isRetryable,
+  resetForRetry,
+  planSessions,
+  recordStatus,
+  recordEvent,
+  findSession,
+  aggregateStatus,
+  createGroupOrder,
+  refresh,
+  summarize
+};
@@ -0,0 +1,46 @@
+// ---------------------------------------------------------------------------
+// Group views
+// The lead sees the whole group. Regular members get a redacted copy: the
+// recipient is reduced to name + city/region/country (no street address,
+// postal code or phone) and other members' contact details are hidden.
+// The same goes for the address snapshot on orders and timeline entries.
+// ---------------------------------------------------------------------------
+
+function redactRecipient(recipient) {
+  if (!recipient) return null;
+  const { firstName, lastName, city, state, provinceCode, country, countryName } = recipient;
+  return { firstName, lastName, city, state, provinceCode, country, countryName };
+}
+
+function groupView(group, { role, memberId }) {
+  const view = JSON.parse(JSON.stringify(group));
+
+  // Invite nonces are server-side bookkeeping only
+  for (const member of view.members) {
+    if (member.invite) delete member.invite.nonce;
+  }
+
+  if (role !== 'lead') {
+    view.recipient = redactRecipient(view.recipient);
+    view.lead = { firstName: view.lead.firstName, lastName: view.lead.lastName };
+    view.members = view.members
+      .filter(m => m.status === 'accepted')
+      .map(m => (m.id === memberId ? m : { id: m.id, firstName: m.firstName, lastName: m.lastName, isLead: m.isLead, status: m.status }));
+    delete view.relayEmail;
+    for (const order of view.orders || []) order.shipTo = redactRecipient(order.shipTo);
+    for (const entry of view.timeline || []) {
+      if (entry.detail?.shipTo) entry.detail.shipTo = redactRecipient(entry.detail.shipTo);
+    }
+  }
+
+  view.viewer = { role, memberId };
+  return view;
+}
+
+// Orders and history, newest event first
+function timelineView(group, { role, memberId }) {
+  const { orders, timeline } = groupView(group, { role, memberId });
+  return { orders: orders || [], timeline: [...(timeline || [])].reverse() };
+}
+
+module.exports = { groupView, timelineView, redactRecipient };
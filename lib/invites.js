@@ -0,0 +1,70 @@
+// ---------------------------------------------------------------------------
+// Member invitations
+// Invited members start out "pending" and move to accepted / declined, or get
+// revoked by the lead. Each invite link carries a signed token bound to the
+// member and to a per-invite nonce; resending rotates the nonce, so only the
+// most recent link works. Accepting signs the member in, so an accepted link is
+// used up – a forwarded copy must not hand out more sessions.
+// ---------------------------------------------------------------------------
+const crypto = require('crypto');
+const tokens = require('./tokens');
+
+const INVITE_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  REVOKED: 'revoked'
+};
+
+const INVITE_TTL_SECONDS = parseInt(process.env.INVITE_TTL_HOURS || '168', 10) * 3600;
+
+// Fresh invite state for a member – call again to resend
+function issueInvite(group, member, now = new Date()) {
+  member.status = INVITE_STATUS.PENDING;
+  member.invite = {
+    nonce: crypto.randomBytes(8).toString('hex'),
+    sentAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + INVITE_TTL_SECONDS * 1000).toISOString(),
+    respondedAt: null
+  };
+  return tokens.sign('invite', { groupId: group.id, memberId: member.id, nonce: member.invite.nonce }, INVITE_TTL_SECONDS);
+}
+
+// Resolve a token to its group + member, rejecting stale or revoked invites
+function resolveInvite(group, payload) {
+  const member = group.members.find(m => m.id === payload.memberId);
+  if (!member || !member.invite || member.invite.nonce !== payload.nonce) {
+    return { error: 'This invitation is no longer valid', status: 410 };
+  }
+  if (member.status === INVITE_STATUS.REVOKED) {
+    return { error: 'This invitation has been revoked', status: 410 };
+  }
+  if (member.status === INVITE_STATUS.ACCEPTED) {
+    return { error: 'This invitation has already been accepted – sign in to open the group', status: 410 };
+  }
+  return { member };
+}
+
+function inviteUrl(appUrl, token) {
+  return `${appUrl}/?invite=${encodeURIComponent(token)}`;
+}
+
+async function sendInvite(mailer, { group, member, url }) {
+  const leadName = `${group.lead.firstName} ${group.lead.lastName}`.trim();
+  const greeting = member.firstName ? `Hi ${member.firstName},` : 'Hi,';
+  await mailer.send({
+    to: member.email,
+    subject: `${leadName} invited you to a group gift`,
+    text: [
+      greeting,
+      '',
+      `${leadName} is organizing a group gift and would like you to chip in.`,
+      '',
+      `Accept or decline here: ${url}`,
+      '',
+      `This link expires on ${new Date(member.invite.expiresAt).toDateString()}.`
+    ].join('\n')
+  });
+}
+
+module.exports = { INVITE_STATUS, issueInvite, resolveInvite, inviteUrl, sendInvite };
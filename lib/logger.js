@@ -0,0 +1,97 @@
+// ---------------------------------------------------------------------------
+// Structured logging
+// One line per event, either JSON (LOG_FORMAT=json, the default when
+// NODE_ENV=production) or "time LEVEL [scope] message key=value ..." for
+// reading in a terminal. LOG_LEVEL (debug | info | warn | error, default info)
+// drops everything below it.
+// Every line goes through lib/redact.js: secrets always, personal data (names,
+// emails, phone numbers, street addresses) unless LOG_REDACT_PII=false.
+//
+// withRequestId(id, fn) runs fn – and everything it awaits – with a request
+// id that each line logged meanwhile carries and currentRequestId() returns
+// (the UCP client forwards it to merchants as X-Request-Id).
+// captureConsole(logger) routes console.* through a logger, so the "[Scope]
+// message" lines the lib/ modules write come out structured and redacted too.
+// ---------------------------------------------------------------------------
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { redact, redactString } = require('./redact');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestContext = new AsyncLocalStorage();
+
+const withRequestId = (requestId, fn) => requestContext.run({ requestId }, fn);
+const currentRequestId = () => requestContext.getStore()?.requestId || null;
+
+// Errors become plain fields; the stack only matters for unexpected ones
+const errorFields = err => ({
+  message: err.message,
+  ...(err.code ? { code: err.code } : {}),
+  ...(err.code ? {} : { stack: err.stack })
+});
+
+const toFields = fields => Object.fromEntries(Object.entries(fields)
+  .filter(([, value]) => value !== undefined)
+  .map(([key, value]) => [key, value instanceof Error ? errorFields(value) : value]));
+
+const prettyValue = value => (typeof value === 'string' && !/[\s"=]/.test(value) ? value : JSON.stringify(value));
+
+function createLogger({
+  level = process.env.LOG_LEVEL || 'info',
+  format = process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty'),
+  redactPii = process.env.LOG_REDACT_PII !== 'false',
+  write = line => process.stdout.write(`${line}\n`),
+  bindings = {}
+} = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+  const options = { pii: redactPii };
+
+  function emit(levelName, msg, fields = {}) {
+    if (LEVELS[levelName] < threshold) return;
+    const { scope, ...rest } = { ...bindings, ...toFields(fields) };
+    const requestId = currentRequestId();
+    const data = redact({ ...rest, ...(requestId ? { requestId } : {}) }, options);
+    const message = redactString(msg, options);
+
+    if (format === 'json') {
+      write(JSON.stringify({ time: new Date().toISOString(), level: levelName, ...(scope ? { scope } : {}), msg: message, ...data }));
+      return;
+    }
+    const pairs = Object.entries(data).map(([key, value]) => `${key}=${prettyValue(value)}`);
+    write([new Date().toISOString(), levelName.toUpperCase().padEnd(5), scope ? `[${scope}]` : null, message, ...pairs]
+      .filter(Boolean).join(' '));
+  }
+
+  return {
+    level,
+    isEnabled: levelName => LEVELS[levelName] >= threshold,
+    debug: (msg, fields) => emit('debug', msg, fields),
+    info: (msg, fields) => emit('info', msg, fields),
+    warn: (msg, fields) => emit('warn', msg, fields),
+    error: (msg, fields) => emit('error', msg, fields),
+    child: extra => createLogger({ level, format, redactPii, write, bindings: { ...bindings, ...extra } })
+  };
+}
+
+const CONSOLE_LEVELS = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+
+// console.error('[Notify] mail failed:', err) → error, scope Notify
+function captureConsole(logger, con = console) {
+  for (const [method, levelName] of Object.entries(CONSOLE_LEVELS)) {
+    con[method] = (...args) => {
+      const text = util.format(...args.map(arg => redact(arg)));
+      const scoped = text.match(/^\[([\w-]+)\]\s*([\s\S]*)$/);
+      logger[levelName](scoped ? scoped[2] : text, scoped ? { scope: scoped[1] } : {});
+    };
+  }
+  return con;
+}
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  captureConsole,
+  withRequestId,
+  currentRequestId
+};
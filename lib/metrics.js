@@ -0,0 +1,83 @@
+// ---------------------------------------------------------------------------
+// Prometheus metrics – a small in-process registry rendered in the text
+// exposition format (GET /metrics)
+//   counter(name, help)                 .inc(labels, n = 1)
+//   histogram(name, help, { buckets })  .observe(labels, seconds)
+//   collected(name, help, read, type)   values owned elsewhere (a gauge, or a
+//                                       counter kept by another module): read()
+//                                       → number or [{ labels, value }] per scrape
+// Label sets are kept per metric, so only use labels with a bounded set of
+// values (route patterns, not URLs).
+// ---------------------------------------------------------------------------
+
+const DEFAULT_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const labelText = labels => {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+// Same labels in any order → same series
+const seriesKey = labels => JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+
+function createRegistry() {
+  const metrics = [];
+
+  function register(name, help, type, render) {
+    if (metrics.some(m => m.name === name)) throw new Error(`Metric ${name} is already registered`);
+    metrics.push({ name, help, type, render });
+  }
+
+  function counter(name, help) {
+    const series = new Map();  // key → { labels, value }
+    register(name, help, 'counter', () =>
+      [...series.values()].map(({ labels, value }) => `${name}${labelText(labels)} ${value}`));
+    return {
+      inc(labels = {}, n = 1) {
+        const key = seriesKey(labels);
+        const entry = series.get(key) || { labels, value: 0 };
+        entry.value += n;
+        series.set(key, entry);
+      }
+    };
+  }
+
+  function histogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+    const series = new Map();  // key → { labels, counts per bucket, sum, count }
+    register(name, help, 'histogram', () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((le, i) => `${name}_bucket${labelText({ ...labels, le })} ${counts[i]}`),
+      `${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${count}`,
+      `${name}_sum${labelText(labels)} ${sum}`,
+      `${name}_count${labelText(labels)} ${count}`
+    ]));
+    return {
+      observe(labels = {}, seconds) {
+        const key = seriesKey(labels);
+        const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((le, i) => { if (seconds <= le) entry.counts[i]++; });
+        entry.sum += seconds;
+        entry.count++;
+        series.set(key, entry);
+      }
+    };
+  }
+
+  function collected(name, help, read, type = 'gauge') {
+    register(name, help, type, () => {
+      const value = read();
+      const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+      return samples.map(sample => `${name}${labelText(sample.labels || {})} ${sample.value}`);
+    });
+  }
+
+  function render() {
+    return metrics.map(({ name, help, type, render: lines }) =>
+      [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()].join('\n')).join('\n') + '\n';
+  }
+
+  return { counter, histogram, collected, render };
+}
+
+module.exports = { createRegistry, DEFAULT_BUCKETS };
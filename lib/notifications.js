@@ -0,0 +1,112 @@
+// ---------------------------------------------------------------------------
+// Group notifications
+// Everyone who accepted their invite (the lead included) hears about the gift's
+// milestones through the pluggable mailer: funded, purchased, shipped and
+// delivered. The recipient is never mailed, and the mail says nothing about
+// where the gift goes – only the lead can see the address in the app.
+// The occasion scheduler (lib/scheduler.js) also uses it to nudge members who
+// have not pledged or voted and to tell the lead it is time to check out.
+// Delivery problems are logged, never thrown: a bounced notification must not
+// fail the request or webhook that triggered it.
+// ---------------------------------------------------------------------------
+const { activeMembers } = require('./contributions');
+
+const formatMoney = (cents, currency = 'USD') =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(cents / 100);
+
+const itemList = orders => orders
+  .flatMap(order => order.items.map(item => `  • ${item.quantity} × ${item.title} (${order.shopDomain})`));
+
+const MESSAGES = {
+  funded: ({ recipientName, detail }) => ({
+    subject: `The gift for ${recipientName} is fully funded`,
+    lines: [
+      `Pledges now cover the full ${formatMoney(detail.targetAmount, detail.currency)}.`,
+      'The lead can go ahead and buy the gift.'
+    ]
+  }),
+  purchased: ({ recipientName, detail }) => ({
+    subject: `The gift for ${recipientName} has been ordered`,
+    lines: ['The group gift was bought:', ...itemList(detail.orders)]
+  }),
+  shipped: ({ recipientName, detail }) => ({
+    subject: `The gift for ${recipientName} is on its way`,
+    lines: [
+      `${detail.order.shopDomain} shipped:`,
+      ...itemList([detail.order]),
+      ...(detail.order.fulfillment?.trackingNumber
+        ? ['', `Tracking: ${[detail.order.fulfillment.carrier, detail.order.fulfillment.trackingNumber].filter(Boolean).join(' ')}`]
+        : []),
+      ...(detail.order.fulfillment?.trackingUrl ? [detail.order.fulfillment.trackingUrl] : [])
+    ]
+  }),
+  delivered: ({ recipientName, detail }) => ({
+    subject: `The gift for ${recipientName} was delivered`,
+    lines: ['This part of the gift has arrived:', ...itemList([detail.order])]
+  })
+};
+
+const recipientNameOf = group => group.recipient?.firstName || 'your recipient';
+
+const deadlineText = occasion => new Date(occasion.deadline).toUTCString().replace(/:\d{2} GMT$/, ' UTC');
+
+function createNotifier({ mailer, appUrl }) {
+  // Same subject and body for every member, with their own greeting
+  async function deliver(group, kind, recipients, subject, lines) {
+    const members = recipients.filter(m => m.email);
+    const results = await Promise.allSettled(members.map(member => mailer.send({
+      to: member.email,
+      subject,
+      text: [
+        member.firstName ? `Hi ${member.firstName},` : 'Hi,',
+        '',
+        ...lines,
+        '',
+        `Open the group: ${appUrl}/?group=${encodeURIComponent(group.id)}`
+      ].join('\n')
+    })));
+
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        console.error('[Notify]', kind, 'mail to', members[i].email, 'failed:', result.reason?.message || result.reason);
+      }
+    });
+    return { sent: results.filter(r => r.status === 'fulfilled').length, failed: results.filter(r => r.status === 'rejected').length };
+  }
+
+  // detail: funded → { targetAmount, currency }, purchased → { orders },
+  // shipped / delivered → { order }
+  async function notify(group, milestone, detail) {
+    const message = MESSAGES[milestone];
+    if (!message) throw new Error(`Unknown milestone: ${milestone}`);
+    const { subject, lines } = message({ recipientName: recipientNameOf(group), detail });
+    return deliver(group, milestone, activeMembers(group), subject, lines);
+  }
+
+  // One member who still owes a pledge and/or a vote (lib/occasions.js)
+  async function remind(group, { member, pledge, vote }) {
+    const { occasion } = group;
+    const todo = [pledge && 'pledge your share', vote && 'rank the wishlist'].filter(Boolean).join(' and ');
+    return deliver(group, 'reminder', [member], `Reminder: the gift for ${recipientNameOf(group)} is due soon`, [
+      `${occasion.name || 'The occasion'} is on ${occasion.date}, and the gift has to be bought by ${deadlineText(occasion)}.`,
+      `Please ${todo} before then.`
+    ]);
+  }
+
+  // The cutoff passed: { locked } when the scheduler locked the wishlist,
+  // { error } when it could not
+  async function promptCheckout(group, { locked, error }) {
+    const leadMember = group.members.find(m => m.isLead);
+    const lines = error
+      ? [`The wishlist could not be locked automatically: ${error}.`, 'Pick a gift and check out before the deadline.']
+      : [
+        locked ? 'The wishlist was locked on the top-ranked gift.' : 'The gift is locked in.',
+        `Please check out by ${deadlineText(group.occasion)} so it arrives for ${group.occasion.name || 'the occasion'} on ${group.occasion.date}.`
+      ];
+    return deliver(group, 'checkout prompt', leadMember ? [leadMember] : [], `Time to buy the gift for ${recipientNameOf(group)}`, lines);
+  }
+
+  return { notify, remind, promptCheckout };
+}
+
+module.exports = { createNotifier };
@@ -0,0 +1,113 @@
+// ---------------------------------------------------------------------------
+// Occasions – the date a group gift is for and the deadline to buy it by
+// group.occasion: { name, date: "YYYY-MM-DD", deadline: ISO timestamp,
+//                   remindersSent: [days, ...], cutoffAt: ISO | null } | null
+// Before the deadline, members who have not pledged (or, while the wishlist is
+// open, not voted) are reminded REMINDER_DAYS before it – each step once.
+// LOCK_HOURS before the deadline is the cutoff: the wishlist locks on its
+// top-ranked item and the lead is told to check out. The scheduler
+// (lib/scheduler.js) asks dueWork() what to do; everything here is pure and
+// takes the current time as an argument.
+// ---------------------------------------------------------------------------
+
+const DAY_MS = 24 * 3600 * 1000;
+const HOUR_MS = 3600 * 1000;
+
+// Without an explicit deadline, buy a week ahead so the gift arrives in time –
+// or, when the occasion is closer than that, by the end of the day before it
+const DEFAULT_SHIPPING_DAYS = 7;
+
+const parseList = value => String(value).split(',').map(Number).filter(n => Number.isFinite(n) && n > 0);
+
+const REMINDER_DAYS = parseList(process.env.OCCASION_REMINDER_DAYS || '7,3,1').sort((a, b) => b - a);
+const LOCK_HOURS = Number(process.env.OCCASION_LOCK_HOURS || 48);
+
+const isDateOnly = value => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Date.parse rolls 2026-02-31 over into March – insist on a real day
+const isCalendarDate = value => isDateOnly(value) &&
+  new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+
+// "2026-12-24" (end of that day, UTC) or any ISO timestamp → ms, or null
+function parseDeadline(value) {
+  if (isDateOnly(value) && !isCalendarDate(value)) return null;
+  const ms = Date.parse(isDateOnly(value) ? `${value}T23:59:59Z` : value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// { name, date, deadline? } → { occasion } or { error }
+function buildOccasion({ name, date, deadline } = {}, now = Date.now()) {
+  if (!date || !isCalendarDate(String(date))) {
+    return { error: 'date must be a calendar date (YYYY-MM-DD)' };
+  }
+  const occasionMs = Date.parse(`${date}T00:00:00Z`);
+  if (!deadline && occasionMs - 1000 <= now) {
+    return { error: 'The occasion is too soon for a default purchase deadline – set a deadline' };
+  }
+  // A date-only deadline, like the default one, runs to the end of that day
+  const weekAhead = occasionMs - (DEFAULT_SHIPPING_DAYS - 1) * DAY_MS - 1000;
+  const deadlineMs = deadline
+    ? parseDeadline(String(deadline))
+    : weekAhead > now ? weekAhead : occasionMs - 1000;
+  if (deadlineMs === null) return { error: 'deadline must be a date (YYYY-MM-DD) or an ISO timestamp' };
+  if (deadlineMs > occasionMs + DAY_MS) return { error: 'The purchase deadline cannot be after the occasion' };
+  if (deadlineMs <= now) return { error: 'The purchase deadline has already passed' };
+
+  return {
+    occasion: {
+      name: name ? String(name).trim().slice(0, 80) : null,
+      date: String(date),
+      deadline: new Date(deadlineMs).toISOString(),
+      remindersSent: [],
+      cutoffAt: null
+    }
+  };
+}
+
+const cutoffTime = (occasion, lockHours = LOCK_HOURS) => Date.parse(occasion.deadline) - lockHours * HOUR_MS;
+
+// Once something was bought there is nothing left to chase
+const isPurchased = group => (group.orders || []).some(order => order.status !== 'canceled');
+
+// Accepted members who still owe a pledge and/or a vote
+function outstandingMembers(group) {
+  const votingOpen = !group.selection && group.wishlist.length > 0;
+  return group.members
+    .filter(m => m.status === 'accepted')
+    .map(member => ({
+      member,
+      pledge: !group.contributions.pledges[member.id],
+      vote: votingOpen && !(group.votes[member.id] || []).length
+    }))
+    .filter(({ pledge, vote }) => pledge || vote);
+}
+
+// What the scheduler should do for a group right now:
+//   { reminder: days | null, due: [days, ...], cutoff: boolean }
+// When several reminder steps are due at once (the occasion was set late) only
+// the closest one is sent; `due` lists every step to mark as sent.
+function dueWork(group, now, { reminderDays = REMINDER_DAYS, lockHours = LOCK_HOURS } = {}) {
+  const { occasion } = group;
+  const idle = { reminder: null, due: [], cutoff: false };
+  if (!occasion || isPurchased(group)) return idle;
+
+  const deadline = Date.parse(occasion.deadline);
+  const due = now < deadline
+    ? reminderDays.filter(days => now >= deadline - days * DAY_MS && !occasion.remindersSent.includes(days))
+    : [];
+  return {
+    reminder: due.length ? Math.min(...due) : null,
+    due,
+    cutoff: !occasion.cutoffAt && now >= cutoffTime(occasion, lockHours)
+  };
+}
+
+module.exports = {
+  REMINDER_DAYS,
+  LOCK_HOURS,
+  buildOccasion,
+  cutoffTime,
+  isPurchased,
+  outstandingMembers,
+  dueWork
+};
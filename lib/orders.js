@@ -0,0 +1,131 @@
+// ---------------------------------------------------------------------------
+// Orders and the group timeline
+// Once a merchant checkout completes, what was bought is copied onto the group
+// so it outlives the checkout machinery and can be tracked to the door:
+//   group.orders: [{ id, groupOrderId, checkoutId, shopDomain,
+//                    items: [{ title, quantity }], shipTo, status,
+//                    fulfillment: { carrier, trackingNumber, trackingUrl } | null,
+//                    placedAt, updatedAt }]
+// Order statuses only move forward: purchased → shipped → delivered, or
+// canceled. shipTo is the recipient as the order was placed – lead eyes only
+// (see timelineView in lib/groups.js).
+//
+// group.timeline is the group's history, oldest first:
+//   [{ type, at, detail }]   type: funded | auto_locked | purchased | shipped | delivered | canceled
+// ---------------------------------------------------------------------------
+const { SESSION_COMPLETED, SESSION_CANCELED } = require('./group-orders');
+
+const ORDER_STATUS = {
+  PURCHASED: 'purchased',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  CANCELED: 'canceled'
+};
+
+const PROGRESS = [ORDER_STATUS.PURCHASED, ORDER_STATUS.SHIPPED, ORDER_STATUS.DELIVERED];
+
+// Merchant fulfillment / shipment statuses → ours; unknown ones are ignored
+const FULFILLMENT_STATUS = {
+  shipped: ORDER_STATUS.SHIPPED,
+  fulfilled: ORDER_STATUS.SHIPPED,
+  success: ORDER_STATUS.SHIPPED,
+  in_transit: ORDER_STATUS.SHIPPED,
+  out_for_delivery: ORDER_STATUS.SHIPPED,
+  attempted_delivery: ORDER_STATUS.SHIPPED,
+  delivered: ORDER_STATUS.DELIVERED
+};
+
+function emptyOrders() {
+  return { orders: [], timeline: [] };
+}
+
+function addTimeline(group, type, detail = null, now = new Date()) {
+  const entry = { type, at: now.toISOString(), detail };
+  group.timeline.push(entry);
+  return entry;
+}
+
+function findOrder(group, { orderId, checkoutId }) {
+  return group.orders.find(o => (orderId && o.id === orderId) || (checkoutId && o.checkoutId === checkoutId)) || null;
+}
+
+// Summary of an order for timeline entries and mail (no address)
+const orderDetail = order => ({
+  orderId: order.id,
+  shopDomain: order.shopDomain,
+  items: order.items
+});
+
+// Pick up merchant sessions of a group order that completed or were canceled
+// since we last looked. Adds their timeline entries and returns the changes.
+function syncPurchases(group, groupOrder, now = new Date()) {
+  const purchased = [];
+  const canceled = [];
+
+  for (const session of groupOrder.sessions) {
+    const existing = findOrder(group, { orderId: session.orderId, checkoutId: session.checkoutId });
+
+    if (session.status === SESSION_COMPLETED && !existing) {
+      const order = {
+        id: session.orderId || session.checkoutId,
+        groupOrderId: groupOrder.id,
+        checkoutId: session.checkoutId,
+        shopDomain: session.shopDomain,
+        items: session.lineItems.map(line => ({ title: line.title, quantity: line.quantity })),
+        shipTo: group.recipient ? { ...group.recipient } : null,
+        status: ORDER_STATUS.PURCHASED,
+        fulfillment: null,
+        placedAt: now.toISOString(),
+        updatedAt: now.toISOString()
+      };
+      group.orders.push(order);
+      addTimeline(group, ORDER_STATUS.PURCHASED, { ...orderDetail(order), shipTo: order.shipTo }, now);
+      purchased.push(order);
+    } else if (session.status === SESSION_CANCELED && existing && existing.status !== ORDER_STATUS.CANCELED) {
+      existing.status = ORDER_STATUS.CANCELED;
+      existing.updatedAt = now.toISOString();
+      addTimeline(group, ORDER_STATUS.CANCELED, orderDetail(existing), now);
+      canceled.push(existing);
+    }
+  }
+
+  return { purchased, canceled };
+}
+
+// Apply a merchant fulfillment update ({ orderId, checkoutId, status, carrier,
+// trackingNumber, trackingUrl }). → { order, milestone } where milestone is
+// shipped / delivered when the order just reached it, else null.
+function applyFulfillment(group, update, now = new Date()) {
+  const order = findOrder(group, update);
+  if (!order) return { order: null, milestone: null };
+
+  const tracking = {
+    carrier: update.carrier || order.fulfillment?.carrier || null,
+    trackingNumber: update.trackingNumber || order.fulfillment?.trackingNumber || null,
+    trackingUrl: update.trackingUrl || order.fulfillment?.trackingUrl || null
+  };
+  if (tracking.carrier || tracking.trackingNumber || tracking.trackingUrl) order.fulfillment = tracking;
+  order.updatedAt = now.toISOString();
+
+  const status = FULFILLMENT_STATUS[String(update.status || '').toLowerCase()];
+  if (!status || order.status === ORDER_STATUS.CANCELED || PROGRESS.indexOf(status) <= PROGRESS.indexOf(order.status)) {
+    return { order, milestone: null };
+  }
+
+  // A delivery we hear about first implies the shipment before it
+  const reached = PROGRESS.slice(PROGRESS.indexOf(order.status) + 1, PROGRESS.indexOf(status) + 1);
+  order.status = status;
+  for (const step of reached) {
+    addTimeline(group, step, { ...orderDetail(order), ...(step === ORDER_STATUS.SHIPPED ? tracking : {}) }, now);
+  }
+  return { order, milestone: status };
+}
+
+module.exports = {
+  ORDER_STATUS,
+  emptyOrders,
+  addTimeline,
+  findOrder,
+  syncPurchases,
+  applyFulfillment
+};
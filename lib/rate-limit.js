@@ -0,0 +1,53 @@
+// ---------------------------------------------------------------------------
+// In-process token-bucket rate limiter for upstream APIs
+// Up to `burst` calls go straight through; after that calls are released at
+// `ratePerSecond`. acquire() waits its turn (FIFO) and rejects with
+// err.code = 'RATE_LIMITED' when the wait would exceed maxWaitMs, so a
+// backlog cannot grow without bound.
+// ---------------------------------------------------------------------------
+
+function createRateLimiter({ ratePerSecond, burst = ratePerSecond, maxWaitMs = 5000, now = Date.now } = {}) {
+  const intervalMs = 1000 / ratePerSecond;
+  let tokens = burst;
+  let refilledAt = now();
+  let nextFreeAt = 0;  // when the last queued caller gets its token
+  let queued = 0;
+
+  function refill() {
+    const t = now();
+    tokens = Math.min(burst, tokens + (t - refilledAt) / intervalMs);
+    refilledAt = t;
+  }
+
+  async function acquire() {
+    refill();
+    if (tokens >= 1 && !queued) {
+      tokens -= 1;
+      return;
+    }
+
+    // Reserve the next slot after everyone already waiting
+    const t = now();
+    const readyAt = Math.max(nextFreeAt, t + (1 - tokens) * intervalMs);
+    if (readyAt - t > maxWaitMs) {
+      const err = new Error('Upstream rate limit reached – try again shortly');
+      err.code = 'RATE_LIMITED';
+      throw err;
+    }
+    nextFreeAt = readyAt + intervalMs;
+    queued++;
+    await new Promise(resolve => setTimeout(resolve, readyAt - t));
+    queued--;
+    refill();
+    tokens = Math.max(0, tokens - 1);
+  }
+
+  return {
+    acquire,
+    get queued() {
+      return queued;
+    }
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,134 @@
+// ---------------------------------------------------------------------------
+// Gift recommendations
+// Turns what we know about a group into a handful of Catalog searches and
+// ranks the merged results:
+//   budget    – cents: an explicit amount, else what members pledged, else the target
+//   interests – the recipient's interest profile (group.interests), one query each
+//   votes     – categories of the wishlist items members ranked, one query each;
+//               products in those categories also score a little higher
+// Products are deduplicated by id across queries. The score (0–1) weighs how
+// well the price uses the budget, the rating and the number of reviews, plus
+// a bonus per extra query that found the product.
+// ---------------------------------------------------------------------------
+const { toCents } = require('./contributions');
+
+const MAX_QUERIES = 6;
+const MAX_INTERESTS = 10;
+const MAX_INTEREST_LENGTH = 40;
+// Products up to this much over budget are still searched for, but rank low
+const OVER_BUDGET_TOLERANCE = 0.2;
+// Spending at least this share of the budget counts as a perfect fit
+const GOOD_BUDGET_SHARE = 0.6;
+
+const WEIGHTS = { priceFit: 0.5, rating: 0.3, reviews: 0.2 };
+const MATCH_BONUS = 0.05;
+const PREFERRED_TYPE_BONUS = 0.1;
+// 1,000 reviews earn the full review score (log scale)
+const REVIEWS_FOR_FULL_SCORE = 1000;
+
+// ["Tea", " hiking ", "tea"] → ["tea", "hiking"], or { error }
+function normalizeInterests(input) {
+  const list = Array.isArray(input) ? input : String(input || '').split(',');
+  if (list.some(item => typeof item !== 'string')) return { error: 'interests must be a list of words or phrases' };
+  const interests = [...new Set(list.map(item => item.trim().toLowerCase()).filter(Boolean))];
+  if (interests.length > MAX_INTERESTS) return { error: `At most ${MAX_INTERESTS} interests` };
+  if (interests.some(item => item.length > MAX_INTEREST_LENGTH)) {
+    return { error: `Interests can be at most ${MAX_INTEREST_LENGTH} characters` };
+  }
+  return { interests };
+}
+
+// Where the budget comes from: { budget (cents) | null, source }
+function resolveBudget(ledger, requested) {
+  if (requested !== undefined && requested !== '') {
+    const cents = toCents(requested);
+    if (!cents) return { error: 'budget must be a positive amount' };
+    return { budget: cents, source: 'request' };
+  }
+  if (ledger.pledged > 0) return { budget: ledger.pledged, source: 'pledges' };
+  if (ledger.targetAmount > 0) return { budget: ledger.targetAmount, source: 'target' };
+  return { budget: null, source: null };
+}
+
+// Categories of the wishlist items members voted for, most points first
+function votedCategories(tally) {
+  const types = tally.filter(item => item.score > 0).map(item => item.product.product_type).filter(Boolean);
+  return [...new Set(types)];
+}
+
+// → [{ q, category }] – at most MAX_QUERIES, interests first
+function buildQueries({ interests, categories }) {
+  const queries = [
+    ...interests.map(interest => ({ q: interest, category: '' })),
+    ...categories.map(category => ({ q: 'gift', category }))
+  ];
+  return (queries.length ? queries : [{ q: 'gift', category: '' }]).slice(0, MAX_QUERIES);
+}
+
+// Upper price bound to search with, in cents
+const searchCeiling = budget => (budget ? Math.round(budget * (1 + OVER_BUDGET_TOLERANCE)) : null);
+
+// [[products of query 1], [products of query 2], ...] → products, each once,
+// with the indexes of the queries that found it (first-seen order)
+function mergeResults(resultSets) {
+  const byId = new Map();
+  resultSets.forEach((products, queryIndex) => {
+    for (const product of products) {
+      const seen = byId.get(product.id);
+      if (seen) {
+        if (!seen.matchedQueries.includes(queryIndex)) seen.matchedQueries.push(queryIndex);
+      } else {
+        byId.set(product.id, { ...product, matchedQueries: [queryIndex] });
+      }
+    }
+  });
+  return [...byId.values()];
+}
+
+// 1 when the price uses most of the budget without going over; falls off
+// below GOOD_BUDGET_SHARE and quickly above the budget
+function priceFit(price, budget) {
+  if (price === null) return 0;
+  if (!budget) return 0.5;
+  const ratio = price / budget;
+  if (ratio > 1) return Math.max(0, 1 - (ratio - 1) / OVER_BUDGET_TOLERANCE);
+  return ratio >= GOOD_BUDGET_SHARE ? 1 : ratio / GOOD_BUDGET_SHARE;
+}
+
+const round = n => Math.round(n * 1000) / 1000;
+
+// Merged products → best first, each with score and its parts
+function rankProducts(products, { budget, preferredTypes = [], exclude = [] }) {
+  const preferred = new Set(preferredTypes.map(type => type.toLowerCase()));
+  const excluded = new Set(exclude);
+
+  return products
+    .filter(product => !excluded.has(product.id))
+    .map(product => {
+      const parts = {
+        priceFit: priceFit(toCents(product.price), budget),
+        rating: product.rating ? Math.min(1, product.rating / 5) : 0.5,
+        reviews: Math.min(1, Math.log10(1 + (product.reviewCount || 0)) / Math.log10(1 + REVIEWS_FOR_FULL_SCORE))
+      };
+      const base = Object.entries(WEIGHTS).reduce((sum, [part, weight]) => sum + parts[part] * weight, 0);
+      const bonus = (product.matchedQueries.length - 1) * MATCH_BONUS +
+        (preferred.has(String(product.product_type || '').toLowerCase()) ? PREFERRED_TYPE_BONUS : 0);
+      return {
+        ...product,
+        score: round(base + bonus),
+        scoreParts: Object.fromEntries(Object.entries(parts).map(([part, value]) => [part, round(value)]))
+      };
+    })
+    .sort((a, b) => b.score - a.score || (b.reviewCount || 0) - (a.reviewCount || 0));
+}
+
+module.exports = {
+  MAX_QUERIES,
+  normalizeInterests,
+  resolveBudget,
+  votedCategories,
+  buildQueries,
+  searchCeiling,
+  mergeResults,
+  rankProducts
+};
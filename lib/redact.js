@@ -0,0 +1,91 @@
+// ---------------------------------------------------------------------------
+// Log redaction – card data, tokens and secrets never reach stdout
+// redact(value)       deep copy with sensitive keys replaced
+// redactString(text)  scrubs JSON text, query strings, bearer tokens, signed
+//                     tokens / JWTs (ec_auth, invite and login links) and
+//                     anything that looks like a card number
+// Both take { pii: true } to also hide personal data – names, emails, phone
+// numbers and street addresses of buyers, members and recipients. The logger
+// (lib/logger.js) uses that unless LOG_REDACT_PII=false; city, region and
+// country are kept so problems stay diagnosable.
+// ---------------------------------------------------------------------------
+const REDACTED = '[REDACTED]';
+
+// Compared case-insensitively with "_" and "-" removed
+const SENSITIVE_KEYS = new Set([
+  'number', 'cardnumber', 'pan', 'cvv', 'cvc', 'verificationvalue', 'creditcard', 'credential',
+  'token', 'sessiontoken', 'accesstoken', 'refreshtoken', 'idtoken', 'ecauth',
+  'authorization', 'cookie', 'setcookie', 'password', 'secret', 'clientsecret', 'apikey'
+]);
+
+const PII_KEYS = new Set([
+  'email', 'buyeremail', 'relayemail', 'to', 'from', 'phone', 'phonenumber',
+  'firstname', 'lastname', 'fullname', 'address1', 'address2', 'streetaddress', 'extendedaddress',
+  'postalcode', 'zip', 'formattedaddress',
+  // Display fields the API builds from them (e.g. groupInfo in checkout responses)
+  'recipientname', 'recipientaddress', 'leadname', 'leademail'
+]);
+
+const normalizeKey = key => String(key).toLowerCase().replace(/[-_]/g, '');
+const isSensitiveKey = (key, pii = false) =>
+  SENSITIVE_KEYS.has(normalizeKey(key)) || (pii && PII_KEYS.has(normalizeKey(key)));
+
+const EMAIL = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g;
+
+const STRING_RULES = [
+  // "token": "...", "verification_value": 123 inside JSON text
+  [/"([A-Za-z_-]+)"(\s*:\s*)("(?:[^"\\]|\\.)*"|\d+)/g,
+    (match, key, sep) => (isSensitiveKey(key) ? `"${key}"${sep}"${REDACTED}"` : match)],
+  // ?token=...&ec_auth=...
+  [/([?&;](?:token|ec_auth|access_token|session_token|invite|code)=)[^&#\s"']+/gi, `$1${REDACTED}`],
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/g, `$1 ${REDACTED}`],
+  // JWTs and our own base64url(JSON).signature tokens
+  [/\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]+(?:\.[A-Za-z0-9_-]+)?/g, REDACTED],
+  // 14–19 digit card numbers (optionally grouped) that pass the Luhn check –
+  // not ids in paths like ProductVariant/43247328698423 or ms timestamps
+  [/(?<![\w/.:-])\d(?:[ -]?\d){13,18}(?!\w)/g, match => (luhn(match.replace(/\D/g, '')) ? REDACTED : match)]
+];
+
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// Personal data inside JSON text and free-form messages
+const PII_STRING_RULES = [
+  [/"([A-Za-z_-]+)"(\s*:\s*)("(?:[^"\\]|\\.)*"|\d+)/g,
+    (match, key, sep) => (isSensitiveKey(key, true) ? `"${key}"${sep}"${REDACTED}"` : match)],
+  [EMAIL, REDACTED]
+];
+
+function redactString(text, { pii = false } = {}) {
+  let out = String(text);
+  for (const [pattern, replacement] of STRING_RULES) out = out.replace(pattern, replacement);
+  if (pii) for (const [pattern, replacement] of PII_STRING_RULES) out = out.replace(pattern, replacement);
+  return out;
+}
+
+function redact(value, options = {}, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value, options);
+  if (!value || typeof value !== 'object') return value;
+  if (value instanceof Error) return redactString(value.stack || String(value), options);
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map(item => redact(item, options, seen));
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = isSensitiveKey(key, options.pii) && item != null ? REDACTED : redact(item, options, seen);
+  }
+  return copy;
+}
+
+module.exports = { REDACTED, redact, redactString };
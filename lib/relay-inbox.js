@@ -0,0 +1,85 @@
+// ---------------------------------------------------------------------------
+// Relay inbox – a local SMTP listener for per-group relay addresses
+// Merchants send order confirmations, shipping notices etc. to the group's
+// relay address. We accept mail only for relay addresses of known groups,
+// keep a copy in the store (collection "relayMessages") and forward it to the
+// group lead, so the recipient never sees any transactional email.
+// ---------------------------------------------------------------------------
+const { SMTPServer } = require('smtp-server');
+const { simpleParser } = require('mailparser');
+const { v4: uuidv4 } = require('uuid');
+const { groupIdFromRelayAddress } = require('./relay');
+
+function createRelayInbox({ store, mailer, port, host = '127.0.0.1' }) {
+  async function receive(stream, session) {
+    const parsed = await simpleParser(stream);
+    const groupIds = [...new Set(session.envelope.rcptTo.map(r => groupIdFromRelayAddress(r.address)))];
+
+    for (const groupId of groupIds) {
+      const group = await store.get('groups', groupId);
+      if (!group) continue;
+
+      const message = {
+        id: uuidv4(),
+        groupId,
+        from: parsed.from?.text || session.envelope.mailFrom?.address || '',
+        to: parsed.to?.text || '',
+        subject: parsed.subject || '',
+        text: parsed.text || '',
+        html: parsed.html || null,
+        receivedAt: new Date().toISOString(),
+        forwardedTo: null,
+        forwardedAt: null
+      };
+
+      try {
+        await mailer.send({
+          to: group.lead.email,
+          subject: `[Gift relay] ${message.subject}`,
+          text: `Forwarded from ${message.from} for your group gift.\n\n${message.text}`,
+          html: message.html || undefined
+        });
+        message.forwardedTo = group.lead.email;
+        message.forwardedAt = new Date().toISOString();
+      } catch (err) {
+        console.error('[Relay] Forwarding failed for group', groupId, err.message);
+      }
+
+      await store.put('relayMessages', message.id, message);
+      console.log('[Relay] Stored message for group', groupId, '–', message.subject);
+    }
+  }
+
+  const server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['AUTH', 'STARTTLS'],
+    banner: 'Catalog Gifting relay',
+    onRcptTo(address, session, callback) {
+      const groupId = groupIdFromRelayAddress(address.address);
+      if (!groupId) return callback(new Error(`Unknown relay address ${address.address}`));
+      store.get('groups', groupId)
+        .then(group => callback(group ? null : new Error(`Unknown relay address ${address.address}`)))
+        .catch(callback);
+    },
+    onData(stream, session, callback) {
+      receive(stream, session).then(() => callback(), callback);
+    }
+  });
+
+  return {
+    start() {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          console.log(`📬 Relay inbox listening on smtp://${host}:${port}`);
+          resolve();
+        });
+      });
+    },
+    stop() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { createRelayInbox };
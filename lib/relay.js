@@ -0,0 +1,33 @@
+// ---------------------------------------------------------------------------
+// Per-group relay addresses
+// Each group gets a plus-addressed alias of RELAY_EMAIL, e.g.
+//   relay@example.com → relay+<groupId>@example.com
+// That alias is what merchants see as the buyer email, so order mail lands
+// in our relay inbox instead of reaching the recipient (or leaking the lead).
+// ---------------------------------------------------------------------------
+
+function splitAddress(address) {
+  const at = address.lastIndexOf('@');
+  if (at <= 0) throw new Error(`Invalid relay email: ${address}`);
+  return { local: address.slice(0, at), domain: address.slice(at + 1) };
+}
+
+function relayAddressFor(groupId, relayEmail = process.env.RELAY_EMAIL) {
+  if (!relayEmail) return null;
+  const { local, domain } = splitAddress(relayEmail);
+  return `${local}+${groupId}@${domain}`.toLowerCase();
+}
+
+// relay+<groupId>@example.com → <groupId>, or null for anything else
+function groupIdFromRelayAddress(address, relayEmail = process.env.RELAY_EMAIL) {
+  if (!relayEmail || !address) return null;
+  const base = splitAddress(relayEmail.toLowerCase());
+  const at = address.lastIndexOf('@');
+  if (at <= 0) return null;
+  const local = address.slice(0, at).toLowerCase();
+  const domain = address.slice(at + 1).toLowerCase();
+  if (domain !== base.domain || !local.startsWith(`${base.local}+`)) return null;
+  return local.slice(base.local.length + 1) || null;
+}
+
+module.exports = { relayAddressFor, groupIdFromRelayAddress };
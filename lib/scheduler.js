@@ -0,0 +1,125 @@
+// ---------------------------------------------------------------------------
+// Occasion scheduler – reminders and the auto-lock cutoff (lib/occasions.js)
+// Every SCHEDULER_INTERVAL_SECONDS it walks the groups that have an occasion,
+// mails reminders that are due and, once the cutoff passes, locks the wishlist
+// on its top-ranked item and prompts the lead to check out.
+// Injected: store, notifier (lib/notifications.js), lockGift(group, memberId,
+// now) – the server's lock routine, returns { error } or { selected, funded },
+// funded being the milestone detail when the lock completed the ledger – and
+// `now`, a clock returning ms, so tests can drive runOnce() through time.
+// Mail only goes out once the group is saved.
+// ---------------------------------------------------------------------------
+const occasions = require('./occasions');
+const orders = require('./orders');
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+
+function createScheduler({
+  store,
+  notifier,
+  lockGift,
+  now = Date.now,
+  intervalMs = DEFAULT_INTERVAL_MS,
+  reminderDays = occasions.REMINDER_DAYS,
+  lockHours = occasions.LOCK_HOURS
+}) {
+  let timer = null;
+  let running = null;
+
+  const hasWork = (group, at) => {
+    const work = occasions.dueWork(group, at, { reminderDays, lockHours });
+    return Boolean(work.reminder || work.cutoff);
+  };
+
+  // → { reminders, autoLocked, prompted } for one group; saves it when anything changed
+  async function processGroup(snapshot, at) {
+    const result = { reminders: 0, autoLocked: false, prompted: false };
+    if (!hasWork(snapshot, at)) return result;
+
+    // Routes may have saved the group since the tick listed it: change the
+    // current copy and save it before any mail goes out, so nothing a member
+    // does while reminders are sent gets overwritten
+    const group = await store.get('groups', snapshot.id);
+    if (!group || !hasWork(group, at)) return result;
+    const work = occasions.dueWork(group, at, { reminderDays, lockHours });
+
+    let outstanding = [];
+    if (work.reminder) {
+      outstanding = occasions.outstandingMembers(group);
+      group.occasion.remindersSent.push(...work.due);
+      result.reminders = outstanding.length;
+    }
+
+    let prompt = null;
+    let funded = null;
+    if (work.cutoff) {
+      group.occasion.cutoffAt = new Date(at).toISOString();
+      if (group.selection) {
+        prompt = { locked: false };
+      } else {
+        const leadMember = group.members.find(m => m.isLead);
+        const { error, funded: detail } = lockGift(group, leadMember?.id || null, new Date(at));
+        prompt = error ? { error } : { locked: true };
+        if (!error) {
+          funded = detail || null;
+          orders.addTimeline(group, 'auto_locked', { items: group.selection.items }, new Date(at));
+          result.autoLocked = true;
+        }
+      }
+    }
+
+    await store.put('groups', group.id, group);
+    if (funded) await notifier.notify(group, 'funded', funded);
+    for (const entry of outstanding) await notifier.remind(group, entry);
+    if (prompt) {
+      await notifier.promptCheckout(group, prompt);
+      result.prompted = true;
+    }
+    return result;
+  }
+
+  async function tick() {
+    const at = now();
+    const totals = { groups: 0, reminders: 0, autoLocked: 0, prompted: 0 };
+    const groups = (await store.list('groups')).filter(group => group.occasion);
+    for (const group of groups) {
+      try {
+        const result = await processGroup(group, at);
+        totals.groups++;
+        totals.reminders += result.reminders;
+        if (result.autoLocked) totals.autoLocked++;
+        if (result.prompted) totals.prompted++;
+      } catch (err) {
+        // One broken group must not hold up the others
+        console.error('[Scheduler] Group', group.id, 'failed:', err.message);
+      }
+    }
+    if (totals.reminders || totals.prompted) {
+      console.log('[Scheduler]', totals.reminders, 'reminder(s),', totals.autoLocked, 'auto-lock(s),', totals.prompted, 'checkout prompt(s)');
+    }
+    return totals;
+  }
+
+  // One pass over all groups; overlapping calls share the pass in progress
+  function runOnce() {
+    if (!running) running = tick().finally(() => { running = null; });
+    return running;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => runOnce().catch(err => console.error('[Scheduler] Run failed:', err.message)), intervalMs);
+    // Do not keep the process alive just for the scheduler
+    timer.unref();
+    runOnce().catch(err => console.error('[Scheduler] Run failed:', err.message));
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, runOnce };
+}
+
+module.exports = { createScheduler };
@@ -0,0 +1,138 @@
+// ---------------------------------------------------------------------------
+// Product search – paging, price range, sorting and facets
+// The same rules apply to Catalog API results and to the mock catalog, so
+// /api/products behaves identically in every environment. Prices are
+// compared in cents (see contributions.toCents).
+//   GET /api/products?q=&category=&merchant=&minPrice=&maxPrice=&sort=&page=&pageSize=
+// ---------------------------------------------------------------------------
+const { toCents } = require('./contributions');
+
+const SORTS = ['relevance', 'price_asc', 'price_desc', 'rating'];
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+
+// Facet buckets in cents; max is exclusive, null means open-ended
+const PRICE_BUCKETS = [
+  { label: 'Under $25', min: 0, max: 2500 },
+  { label: '$25 – $50', min: 2500, max: 5000 },
+  { label: '$50 – $100', min: 5000, max: 10000 },
+  { label: '$100 – $200', min: 10000, max: 20000 },
+  { label: '$200+', min: 20000, max: null }
+];
+
+const positiveInt = (value, fallback) => {
+  const n = parseInt(value, 10);
+  return n > 0 ? n : fallback;
+};
+
+// req.query → normalized search params, or { error }
+// `filter` is the old name for `category` and still accepted.
+function parseSearchParams(query = {}) {
+  const params = {
+    q: String(query.q || '').trim(),
+    category: String(query.category || query.filter || '').trim(),
+    merchant: String(query.merchant || '').trim(),
+    minPrice: null,
+    maxPrice: null,
+    sort: String(query.sort || 'relevance'),
+    page: positiveInt(query.page, 1),
+    pageSize: Math.min(MAX_PAGE_SIZE, positiveInt(query.pageSize, DEFAULT_PAGE_SIZE))
+  };
+
+  if (!SORTS.includes(params.sort)) return { error: `sort must be one of: ${SORTS.join(', ')}` };
+  for (const key of ['minPrice', 'maxPrice']) {
+    if (query[key] === undefined || query[key] === '') continue;
+    const cents = toCents(query[key]);
+    if (cents === null) return { error: `${key} must be a non-negative number` };
+    params[key] = cents;
+  }
+  if (params.minPrice !== null && params.maxPrice !== null && params.minPrice > params.maxPrice) {
+    return { error: 'minPrice cannot be greater than maxPrice' };
+  }
+  return { params };
+}
+
+const priceOf = product => toCents(product.price);
+const sameText = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+
+function countBy(products, key) {
+  const counts = new Map();
+  for (const product of products) {
+    const value = product[key];
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+// Facets describe everything matching the text query, before the category,
+// merchant and price filters narrow it, so the UI can offer the other choices
+function buildFacets(products) {
+  return {
+    categories: countBy(products, 'product_type'),
+    merchants: countBy(products, 'merchant'),
+    priceBuckets: PRICE_BUCKETS.map(bucket => ({
+      ...bucket,
+      count: products.filter(p => {
+        const price = priceOf(p);
+        return price !== null && price >= bucket.min && (bucket.max === null || price < bucket.max);
+      }).length
+    }))
+  };
+}
+
+function sortProducts(products, sort) {
+  const byPrice = (a, b) => (priceOf(a) ?? Infinity) - (priceOf(b) ?? Infinity);
+  switch (sort) {
+    case 'price_asc': return products.slice().sort(byPrice);
+    case 'price_desc': return products.slice().sort((a, b) => byPrice(b, a));
+    case 'rating': return products.slice().sort((a, b) => (b.rating || 0) - (a.rating || 0) || (b.reviewCount || 0) - (a.reviewCount || 0));
+    default: return products;  // relevance = source order
+  }
+}
+
+// Filter, sort and page a product list; `matchQuery` applies the text query
+// (Catalog results are already matched by the API). `poolLimit` is the most
+// results the source could return – when the pool is that full, pageInfo says
+// so (`truncated`), since `total` then counts only the pool and not every match.
+// `facetPool` replaces `products` for the facets when the source already
+// applied filters (the Catalog API takes category and price).
+function applySearch(products, params, { matchQuery = false, poolLimit = null, facetPool = null } = {}) {
+  const matched = matchQuery && params.q
+    ? products.filter(p => p.title.toLowerCase().includes(params.q.toLowerCase()))
+    : products;
+
+  const filtered = matched.filter(p => {
+    if (params.category && !sameText(p.product_type, params.category)) return false;
+    if (params.merchant && !sameText(p.merchant, params.merchant)) return false;
+    const price = priceOf(p);
+    if (params.minPrice !== null && (price === null || price < params.minPrice)) return false;
+    if (params.maxPrice !== null && (price === null || price > params.maxPrice)) return false;
+    return true;
+  });
+
+  const sorted = sortProducts(filtered, params.sort);
+  const start = (params.page - 1) * params.pageSize;
+  return {
+    products: sorted.slice(start, start + params.pageSize),
+    pageInfo: {
+      page: params.page,
+      pageSize: params.pageSize,
+      total: sorted.length,
+      totalPages: Math.max(1, Math.ceil(sorted.length / params.pageSize)),
+      hasNextPage: start + params.pageSize < sorted.length,
+      poolLimit,
+      truncated: poolLimit !== null && products.length >= poolLimit
+    },
+    facets: buildFacets(facetPool || matched)
+  };
+}
+
+module.exports = {
+  SORTS,
+  PRICE_BUCKETS,
+  MAX_PAGE_SIZE,
+  parseSearchParams,
+  applySearch
+};
@@ -0,0 +1,112 @@
+// ---------------------------------------------------------------------------
+// File-backed store adapter – keeps every collection in a single JSON file.
+// The file is read once on first use, migrated to the current schema version
+// and rewritten atomically (temp file + rename) after every mutation.
+// ---------------------------------------------------------------------------
+const fs = require('fs');
+const path = require('path');
+const { migrate } = require('./migrations');
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+function createFileStore(options = {}) {
+  const filePath = options.path;
+  if (!filePath) throw new Error('File store requires a path');
+
+  let data = null;
+  let loading = null;
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+    if (!loading) {
+      loading = (async () => {
+        let raw = {};
+        try {
+          raw = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err;
+        }
+        const fromVersion = raw.schemaVersion || 0;
+        data = migrate(raw);
+        if (data.schemaVersion !== fromVersion) await persist();
+        return data;
+      })().catch(err => {
+        // Let the next call try again instead of failing for good
+        loading = null;
+        throw err;
+      });
+    }
+    return loading;
+  }
+
+  // Writes are chained so concurrent mutations never interleave on disk. A
+  // failed write only fails its own caller: the chain carries on, and the next
+  // write saves the full snapshot again.
+  function persist() {
+    const snapshot = JSON.stringify(data, null, 2);
+    const write = writing.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpPath, snapshot);
+      await fs.promises.rename(tmpPath, filePath);
+    });
+    writing = write;
+    return write;
+  }
+
+  const collection = name => {
+    if (!data.collections[name]) data.collections[name] = {};
+    return data.collections[name];
+  };
+
+  return {
+    driver: 'file',
+    path: filePath,
+
+    get schemaVersion() {
+      return data ? data.schemaVersion : null;
+    },
+
+    async get(name, id) {
+      await load();
+      return clone(collection(name)[id]) || null;
+    },
+
+    async put(name, id, doc) {
+      await load();
+      collection(name)[id] = clone(doc);
+      await persist();
+      return clone(doc);
+    },
+
+    async remove(name, id) {
+      await load();
+      const existed = id in collection(name);
+      delete collection(name)[id];
+      if (existed) await persist();
+      return existed;
+    },
+
+    async list(name) {
+      await load();
+      return Object.values(collection(name)).map(clone);
+    },
+
+    // Drops every document the predicate matches; → how many were removed
+    async prune(name, predicate) {
+      await load();
+      const docs = collection(name);
+      const ids = Object.keys(docs).filter(id => predicate(docs[id]));
+      for (const id of ids) delete docs[id];
+      if (ids.length) await persist();
+      return ids.length;
+    },
+
+    async close() {
+      await writing;
+    }
+  };
+}
+
+module.exports = createFileStore;
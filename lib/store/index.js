@@ -0,0 +1,30 @@
+// ---------------------------------------------------------------------------
+// Pluggable storage layer
+// Every adapter exposes the same async document API:
+//   get(collection, id) · put(collection, id, doc) · remove(collection, id)
+//   list(collection) · prune(collection, predicate) · close()
+// Documents are copied in and out, so callers must put() what they change.
+// prune() removes the documents the predicate matches in one write – how
+// records that are only kept until they expire are cleared.
+// ---------------------------------------------------------------------------
+const path = require('path');
+const createMemoryStore = require('./memory');
+const createFileStore = require('./file');
+const { SCHEMA_VERSION } = require('./migrations');
+
+const DEFAULT_STORE_PATH = path.join(__dirname, '..', '..', 'data', 'store.json');
+
+function createStore(options = {}) {
+  const driver = options.driver || process.env.STORE_DRIVER || 'file';
+
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore(options);
+    case 'file':
+      return createFileStore({ path: options.path || process.env.STORE_PATH || DEFAULT_STORE_PATH });
+    default:
+      throw new Error(`Unknown store driver: ${driver}`);
+  }
+}
+
+module.exports = { createStore, SCHEMA_VERSION };
@@ -0,0 +1,54 @@
+// ---------------------------------------------------------------------------
+// In-memory store adapter – state is lost on restart. Use it for tests or
+// throwaway local sessions.
+// ---------------------------------------------------------------------------
+const { migrate } = require('./migrations');
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+function createMemoryStore(options = {}) {
+  const data = migrate(clone(options.seed) || {});
+
+  const collection = name => {
+    if (!data.collections[name]) data.collections[name] = {};
+    return data.collections[name];
+  };
+
+  return {
+    driver: 'memory',
+
+    get schemaVersion() {
+      return data.schemaVersion;
+    },
+
+    async get(name, id) {
+      return clone(collection(name)[id]) || null;
+    },
+
+    async put(name, id, doc) {
+      collection(name)[id] = clone(doc);
+      return clone(doc);
+    },
+
+    async remove(name, id) {
+      const existed = id in collection(name);
+      delete collection(name)[id];
+      return existed;
+    },
+
+    async list(name) {
+      return Object.values(collection(name)).map(clone);
+    },
+
+    async prune(name, predicate) {
+      const docs = collection(name);
+      const ids = Object.keys(docs).filter(id => predicate(docs[id]));
+      for (const id of ids) delete docs[id];
+      return ids.length;
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = createMemoryStore;
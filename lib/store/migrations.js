@@ -0,0 +1,155 @@
+// ---------------------------------------------------------------------------
+// Store schema migrations
+// Each entry upgrades persisted data from version N-1 to version N. Append new
+// migrations to the end; never edit one that has already shipped.
+// ---------------------------------------------------------------------------
+const { normalizeCountry, normalizeRegion, countryName } = require('../address');
+const { computeLedger } = require('../contributions');
+
+const migrations = [
+  // 1: initial layout – one map of documents per collection
+  data => ({ ...data, collections: { groups: {}, ...(data.collections || {}) } }),
+
+  // 2: contributions ledger on every group
+  data => {
+    for (const group of Object.values(data.collections.groups)) {
+      if (!group.contributions) {
+        group.contributions = { targetAmount: 0, currency: 'USD', pledges: {}, override: null };
+      }
+    }
+    return data;
+  },
+
+  // 3: invitation status – members added before invites existed count as accepted
+  data => {
+    for (const group of Object.values(data.collections.groups)) {
+      for (const member of group.members) {
+        if (!member.status) member.status = 'accepted';
+      }
+    }
+    return data;
+  },
+
+  // 4: wishlist, ranked votes and the locked selection
+  data => {
+    for (const group of Object.values(data.collections.groups)) {
+      if (!group.wishlist) group.wishlist = [];
+      if (!group.votes) group.votes = {};
+      if (group.selection === undefined) group.selection = null;
+    }
+    return data;
+  },
+
+  // 5: multi-item selection – { itemId, quantity } → { items: [{ itemId, quantity }] }
+  data => {
+    for (const group of Object.values(data.collections.groups)) {
+      const selection = group.selection;
+      if (selection && !selection.items) {
+        group.selection = {
+          items: [{ itemId: selection.itemId, quantity: selection.quantity || 1 }],
+          lockedAt: selection.lockedAt,
+          lockedBy: selection.lockedBy
+        };
+      }
+    }
+    return data;
+  },
+
+  // 6: wishlist items remember the picked variant
+  data => {
+    for (const group of Object.values(data.collections.groups)) {
+      for (const item of group.wishlist) {
+        if (item.variantId === undefined) item.variantId = item.product?.variantId || null;
+      }
+    }
+    return data;
+  },
+
+  // 7: checkout sessions keep a status history and the merchant's order id
+  data => {
+    for (const order of Object.values(data.collections.groupOrders || {})) {
+      for (const session of order.sessions) {
+        if (!session.history) session.history = [];
+        if (session.orderId === undefined) session.orderId = null;
+      }
+    }
+    return data;
+  },
+
+  // 8: recipients store an ISO country code and region code ("United States" → "US")
+  data => {
+    for (const group of Object.values(data.collections.groups)) {
+      const recipient = group.recipient;
+      if (!recipient) continue;
+      const country = normalizeCountry(recipient.country || 'US');
+      if (!country) continue;  // left as entered; saving the recipient again fixes it
+      const region = normalizeRegion(country, recipient.provinceCode || recipient.state);
+      group.recipient = {
+        ...recipient,
+        address2: recipient.address2 || '',
+        country,
+        countryName: countryName(country),
+        ...(region ? { state: region.name, provinceCode: region.code } : {})
+      };
+    }
+    return data;
+  },
+
+  // 9: checkout sessions log ECP and webhook events
+  data => {
+    for (const order of Object.values(data.collections.groupOrders || {})) {
+      for (const session of order.sessions) {
+        if (!session.events) session.events = [];
+      }
+    }
+    return data;
+  },
+
+  // 10: groups track their orders and a timeline; the ledger remembers when it
+  // was funded (groups that already are count from now, without a notification)
+  data => {
+    const now = new Date().toISOString();
+    for (const group of Object.values(data.collections.groups)) {
+      if (!group.orders) group.orders = [];
+      if (!group.timeline) group.timeline = [];
+      if (group.contributions.fundedAt === undefined) {
+        group.contributions.fundedAt = computeLedger(group).fullyFunded ? now : null;
+      }
+    }
+    return data;
+  },
+
+  // 11: groups can have an occasion date and purchase deadline
+  data => {
+    for (const group of Object.values(data.collections.groups)) {
+      if (group.occasion === undefined) group.occasion = null;
+    }
+    return data;
+  },
+
+  // 12: recipient interest profile for recommendations
+  data => {
+    for (const group of Object.values(data.collections.groups)) {
+      if (!group.interests) group.interests = [];
+    }
+    return data;
+  }
+];
+
+const SCHEMA_VERSION = migrations.length;
+
+function migrate(data) {
+  const from = data.schemaVersion || 0;
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Store schema version ${from} is newer than this server supports (${SCHEMA_VERSION})`);
+  }
+
+  let result = data;
+  for (let version = from + 1; version <= SCHEMA_VERSION; version++) {
+    result = migrations[version - 1](result);
+    result.schemaVersion = version;
+  }
+  return result;
+}
+
+module.exports = { SCHEMA_VERSION, migrate };
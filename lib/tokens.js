@@ -0,0 +1,74 @@
+// ---------------------------------------------------------------------------
+// Signed, expiring tokens (HMAC-SHA256)
+// Format: base64url(JSON payload) + "." + base64url(signature)
+// Every token carries a purpose ("invite", "login", ...) so a token minted for
+// one flow can never be replayed against another.
+// ---------------------------------------------------------------------------
+const crypto = require('crypto');
+
+// Example values and short secrets can be guessed, and anyone who guesses the
+// secret can mint sign-in links – refused in production, warned about otherwise
+const PLACEHOLDER_SECRETS = ['change_me', 'change_me_too', 'changeme', 'secret', 'your_secret_here'];
+const MIN_SECRET_LENGTH = 32;
+
+function checkSecret(name, value) {
+  let problem = null;
+  if (PLACEHOLDER_SECRETS.includes(value.trim().toLowerCase())) problem = 'is an example placeholder';
+  else if (value.length < MIN_SECRET_LENGTH) problem = `is shorter than ${MIN_SECRET_LENGTH} characters`;
+  if (!problem) return;
+
+  const message = `${name} ${problem} – generate one with: openssl rand -hex 32`;
+  if (process.env.NODE_ENV === 'production') throw new Error(message);
+  console.warn(`[Tokens] ${message}`);
+}
+
+let secret = process.env.APP_SECRET;
+if (secret) {
+  checkSecret('APP_SECRET', secret);
+} else {
+  secret = crypto.randomBytes(32).toString('hex');
+  console.warn('[Tokens] APP_SECRET not set – using a random secret; links stop working after a restart');
+}
+
+const encode = buf => Buffer.from(buf).toString('base64url');
+const hmac = data => crypto.createHmac('sha256', secret).update(data).digest();
+
+function tokenError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function sign(purpose, claims, ttlSeconds) {
+  const payload = { ...claims, purpose, exp: Math.floor(Date.now() / 1000) + ttlSeconds };
+  const body = encode(JSON.stringify(payload));
+  return `${body}.${encode(hmac(body))}`;
+}
+
+// Returns the payload, or throws with err.code TOKEN_INVALID / TOKEN_EXPIRED
+function verify(purpose, token) {
+  const [body, signature] = String(token || '').split('.');
+  if (!body || !signature) throw tokenError('Malformed token', 'TOKEN_INVALID');
+
+  const expected = hmac(body);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw tokenError('Invalid token signature', 'TOKEN_INVALID');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (_) {
+    throw tokenError('Malformed token', 'TOKEN_INVALID');
+  }
+  if (payload.purpose !== purpose) throw tokenError('Token not valid for this action', 'TOKEN_INVALID');
+  if (hasExpired(payload)) throw tokenError('Token has expired', 'TOKEN_EXPIRED');
+  return payload;
+}
+
+// True once `exp` (unix seconds) has passed – also for records that keep a
+// token's exp, like burned single-use ids, which can go once it cannot verify
+const hasExpired = (claims, now = Date.now()) => claims.exp * 1000 < now;
+
+module.exports = { sign, verify, hasExpired, checkSecret };
@@ -0,0 +1,279 @@
+// ---------------------------------------------------------------------------
+// UCP/MCP JSON-RPC client
+// POST https://{shopDomain}/api/ucp/mcp  (JSON-RPC 2.0, method "tools/call")
+// - every request gets its own JSON-RPC id
+// - MCP results ({ result: { content: [{ text }] } }) are unwrapped to the checkout
+// - JSON-RPC errors become typed errors (see below)
+// - transient failures (network resets, 429, 5xx) are retried with exponential
+//   backoff; the idempotency key is generated once per logical call, so a
+//   retried create/complete can never buy twice
+// - tools/list is cached per shop for capability discovery
+// - the id of the request being served (requestId()) goes out as X-Request-Id
+// - each logical call is logged once and reported to onCall({ tool, shopDomain,
+//   outcome: 'ok' | err.code, durationMs, attempts }) for metrics; request and
+//   response bodies carry buyer data and are only logged at debug level
+//
+// Errors (all UcpError, with err.code):
+//   UCP_ACCESS_DISABLED – the shop has not enabled agent checkout for us
+//   UCP_VALIDATION      – the request was rejected (bad params, unknown variant, ...)
+//   UCP_ESCALATION      – the buyer has to finish in the merchant UI (err.continueUrl)
+//   UCP_TRANSPORT       – the shop could not be reached / kept failing
+//   UCP_ERROR           – any other JSON-RPC error
+// ---------------------------------------------------------------------------
+const { v4: uuidv4 } = require('uuid');
+
+class UcpError extends Error {
+  constructor(message, { code = 'UCP_ERROR', rpcError = null, shopDomain = null, tool = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.rpcError = rpcError;
+    this.shopDomain = shopDomain;
+    this.tool = tool;
+  }
+}
+
+class UcpAccessDisabledError extends UcpError {
+  constructor(message, details) {
+    super(message, { ...details, code: 'UCP_ACCESS_DISABLED' });
+    this.accessDisabled = true;
+  }
+}
+
+class UcpValidationError extends UcpError {
+  constructor(message, details) {
+    super(message, { ...details, code: 'UCP_VALIDATION' });
+  }
+}
+
+class UcpEscalationError extends UcpError {
+  constructor(message, { continueUrl = null, checkout = null, ...details } = {}) {
+    super(message, { ...details, code: 'UCP_ESCALATION' });
+    this.continueUrl = continueUrl;
+    this.checkout = checkout;
+  }
+}
+
+class UcpTransportError extends UcpError {
+  constructor(message, { transient = true, status = null, ...details } = {}) {
+    super(message, { ...details, code: 'UCP_TRANSPORT' });
+    this.transient = transient;
+    this.status = status;
+  }
+}
+
+// JSON-RPC "Invalid params" and the validation codes shops put in error.data
+const VALIDATION_RPC_CODES = [-32602];
+const VALIDATION_DATA_CODES = ['INVALID_PARAMS', 'INVALID_INPUT', 'VALIDATION_ERROR', 'NOT_FOUND'];
+const TRANSIENT_HTTP = [408, 425, 429, 500, 502, 503, 504];
+const TRANSIENT_NET = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ESOCKETTIMEDOUT'];
+
+const continueUrlOf = checkout => checkout?.continue_url || checkout?.checkoutUrl || checkout?.web_url || null;
+
+// JSON-RPC error object → typed error
+function toUcpError(rpcError, details) {
+  const data = rpcError.data;
+  const dataText = data ? (typeof data === 'string' ? data : JSON.stringify(data)) : '';
+  const message = rpcError.message + (dataText ? ` – ${dataText}` : '');
+  const dataCode = typeof data === 'object' ? data?.code : null;
+  const withRpc = { ...details, rpcError };
+
+  if (data === 'Access disabled.' || dataCode === 'ACCESS_DISABLED') return new UcpAccessDisabledError(message, withRpc);
+  if (dataCode === 'REQUIRES_ESCALATION') {
+    return new UcpEscalationError(message, { ...withRpc, continueUrl: data.continue_url || null });
+  }
+  if (VALIDATION_RPC_CODES.includes(rpcError.code) || VALIDATION_DATA_CODES.includes(dataCode)) {
+    return new UcpValidationError(message, withRpc);
+  }
+  return new UcpError(message, withRpc);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createUcpClient({
+  fetch,
+  getToken,
+  agentProfileUrl,
+  endpointFor = shopDomain => `https://${shopDomain}/api/ucp/mcp`,
+  retries = 2,
+  backoffMs = 300,
+  toolsTtlMs = 10 * 60 * 1000,
+  requestId = () => null,
+  onCall = () => {},
+  log = console
+}) {
+  const toolsCache = new Map();  // shopDomain → { tools, fetchedAt }
+
+  const meta = extra => ({ ...extra, 'ucp-agent': { profile: agentProfileUrl } });
+
+  // One HTTP round trip; returns the unwrapped result or throws a UcpError
+  async function send(shopDomain, method, params, tool) {
+    const url = endpointFor(shopDomain);
+    const body = { jsonrpc: '2.0', method, id: uuidv4(), params };
+    const details = { shopDomain, tool };
+    log.debug('POST', { tool: tool || method, url, body });
+
+    let res;
+    try {
+      const token = await getToken();
+      const id = requestId();
+      res = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+          ...(id ? { 'X-Request-Id': id } : {})
+        },
+        body: JSON.stringify(body)
+      });
+    } catch (err) {
+      if (err instanceof UcpError) throw err;
+      throw new UcpTransportError(`${shopDomain} unreachable: ${err.message}`, {
+        ...details,
+        transient: TRANSIENT_NET.includes(err.code) || err.type === 'request-timeout'
+      });
+    }
+
+    let data;
+    try {
+      data = await res.json();
+    } catch (_) {
+      data = null;
+    }
+    log.debug('Response', { tool: tool || method, status: res.status, body: data });
+
+    if (data?.error) throw toUcpError(data.error, details);
+    if (!res.ok || !data) {
+      throw new UcpTransportError(`${shopDomain} responded ${res.status}`, {
+        ...details,
+        status: res.status,
+        transient: TRANSIENT_HTTP.includes(res.status)
+      });
+    }
+    if (data.result?.isError) {
+      const text = data.result.content?.[0]?.text || 'Tool call failed';
+      throw new UcpValidationError(text, details);
+    }
+
+    // MCP returns { result: { content: [{ text: "..." }] } }
+    const text = data.result?.content?.[0]?.text;
+    if (text !== undefined) {
+      try { return JSON.parse(text); } catch (_) { return text; }
+    }
+    return data.result;
+  }
+
+  // send() with retries for transient failures only. inspect(result) may
+  // throw to turn a successful response into a failed call (see completeCheckout).
+  async function request(shopDomain, method, params, tool, inspect = null) {
+    const started = Date.now();
+    const done = (outcome, attempts, err) => {
+      const call = { tool: tool || method, shopDomain, outcome, durationMs: Date.now() - started, attempts };
+      if (err) log.warn('Call failed', { ...call, error: err.message });
+      else log.info('Call', call);
+      onCall(call);
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      let result;
+      try {
+        result = await send(shopDomain, method, params, tool);
+        if (inspect) inspect(result);
+      } catch (err) {
+        if (!(err instanceof UcpTransportError) || !err.transient || attempt >= retries) {
+          done(err.code || 'UCP_ERROR', attempt + 1, err);
+          throw err;
+        }
+        const delay = backoffMs * 2 ** attempt;
+        log.warn('Transient failure, retrying', {
+          tool: tool || method, shopDomain, error: err.message, retry: `${attempt + 1}/${retries}`, delayMs: delay
+        });
+        await sleep(delay);
+        continue;
+      }
+      done('ok', attempt + 1);
+      return result;
+    }
+  }
+
+  const callTool = (shopDomain, name, args, inspect) =>
+    request(shopDomain, 'tools/call', { name, arguments: args }, name, inspect);
+
+  async function listTools(shopDomain) {
+    const cached = toolsCache.get(shopDomain);
+    if (cached && Date.now() - cached.fetchedAt < toolsTtlMs) return cached.tools;
+    const result = await request(shopDomain, 'tools/list', {}, 'tools/list');
+    const tools = result?.tools || [];
+    toolsCache.set(shopDomain, { tools, fetchedAt: Date.now() });
+    return tools;
+  }
+
+  // null when the shop cannot tell us (discovery failed)
+  async function supportsTool(shopDomain, name) {
+    try {
+      return (await listTools(shopDomain)).some(tool => tool.name === name);
+    } catch (err) {
+      log.warn('tools/list failed', { shopDomain, error: err.message });
+      return null;
+    }
+  }
+
+  // fields: { currency, line_items, buyer, fulfillment }
+  function createCheckout(shopDomain, fields, { idempotencyKey = uuidv4() } = {}) {
+    return callTool(shopDomain, 'create_checkout', {
+      meta: meta(),
+      checkout: { idempotency_key: idempotencyKey, ...fields }
+    });
+  }
+
+  function getCheckout(shopDomain, id) {
+    return callTool(shopDomain, 'get_checkout', { meta: meta(), id });
+  }
+
+  function updateCheckout(shopDomain, id, fields) {
+    return callTool(shopDomain, 'update_checkout', { meta: meta(), id, checkout: fields });
+  }
+
+  function cancelCheckout(shopDomain, id) {
+    return callTool(shopDomain, 'cancel_checkout', { meta: meta(), id });
+  }
+
+  // A completion the merchant wants the buyer to finish themselves is an escalation
+  function completeCheckout(shopDomain, id, payment, { idempotencyKey = uuidv4() } = {}) {
+    return callTool(shopDomain, 'complete_checkout', {
+      meta: meta({ 'idempotency-key': idempotencyKey }),
+      id,
+      payment
+    }, checkout => {
+      if (checkout?.status === 'requires_escalation') {
+        throw new UcpEscalationError('The merchant needs the buyer to finish this checkout', {
+          shopDomain,
+          tool: 'complete_checkout',
+          continueUrl: continueUrlOf(checkout),
+          checkout
+        });
+      }
+    });
+  }
+
+  return {
+    callTool,
+    listTools,
+    supportsTool,
+    createCheckout,
+    getCheckout,
+    updateCheckout,
+    cancelCheckout,
+    completeCheckout
+  };
+}
+
+module.exports = {
+  createUcpClient,
+  continueUrlOf,
+  UcpError,
+  UcpAccessDisabledError,
+  UcpValidationError,
+  UcpEscalationError,
+  UcpTransportError
+};
@@ -0,0 +1,97 @@
+// ---------------------------------------------------------------------------
+// Inbound order webhooks
+// Merchants (or the platform relaying for them) POST order updates to
+// /api/webhooks/orders with a signature header over the raw body:
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<body>")>
+// The timestamp is part of the signed data and must be within the tolerance,
+// so a captured delivery cannot be replayed later. Payload:
+//   { id, type: "order.created" | "order.updated" | "order.fulfilled" | "order.canceled" | ...,
+//     shop_domain, order: { id, checkout_id, status,
+//       fulfillment: { status, carrier, tracking_number, tracking_url } } }
+// fulfillment.status is the shipment status (shipped, in_transit,
+// out_for_delivery, delivered, ...); Shopify-style order.fulfillments[] with
+// shipment_status / tracking_company are read too (the latest one counts).
+// ---------------------------------------------------------------------------
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+// How long delivery ids are kept for de-duplication. Senders retry a failed
+// delivery (freshly signed, same id) for up to a couple of days.
+const DELIVERY_RETENTION_MS = 72 * 3600 * 1000;
+
+function webhookError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function createWebhookVerifier({ secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now }) {
+  const digest = (timestamp, rawBody) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest('hex');
+
+  // For senders (the mock merchant, scripts): header value for a body
+  function sign(rawBody, timestamp = Math.floor(now() / 1000)) {
+    return `t=${timestamp},v1=${digest(timestamp, rawBody)}`;
+  }
+
+  // Throws with err.code WEBHOOK_SIGNATURE_INVALID / WEBHOOK_SIGNATURE_EXPIRED
+  function verify(rawBody, header) {
+    const parts = Object.fromEntries(String(header || '')
+      .split(',')
+      .map(part => part.trim().split('='))
+      .filter(pair => pair.length === 2));
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || !parts.v1) {
+      throw webhookError('Missing or malformed webhook signature', 'WEBHOOK_SIGNATURE_INVALID');
+    }
+
+    const expected = Buffer.from(digest(timestamp, rawBody || Buffer.alloc(0)), 'hex');
+    const actual = Buffer.from(parts.v1, 'hex');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      throw webhookError('Webhook signature does not match', 'WEBHOOK_SIGNATURE_INVALID');
+    }
+    if (Math.abs(now() / 1000 - timestamp) > toleranceSeconds) {
+      throw webhookError('Webhook timestamp is outside the allowed window', 'WEBHOOK_SIGNATURE_EXPIRED');
+    }
+  }
+
+  return { sign, verify };
+}
+
+function parseFulfillment(order) {
+  const latest = order.fulfillment || (Array.isArray(order.fulfillments) ? order.fulfillments[order.fulfillments.length - 1] : null);
+  if (!latest) return null;
+  return {
+    status: latest.shipment_status || latest.status || null,
+    carrier: latest.carrier || latest.tracking_company || null,
+    trackingNumber: latest.tracking_number || null,
+    trackingUrl: latest.tracking_url || null
+  };
+}
+
+// Order webhook → what it means for the checkout session. An order only
+// exists once its checkout completed, so every event but a cancellation
+// settles the session as completed (the route never revives a canceled one).
+// Checkout and order ids are only unique per merchant, so shop_domain is
+// required to find the session.
+function parseOrderEvent(payload) {
+  const order = payload?.order || {};
+  if (!payload?.type || !payload.shop_domain || !(order.checkout_id || order.id)) return null;
+  const canceled = payload.type === 'order.canceled' || order.status === 'canceled';
+  return {
+    deliveryId: payload.id ? String(payload.id) : null,
+    type: payload.type,
+    shopDomain: String(payload.shop_domain).toLowerCase(),
+    checkoutId: order.checkout_id || null,
+    orderId: order.id || null,
+    orderStatus: order.status || null,
+    fulfillment: parseFulfillment(order),
+    sessionStatus: canceled ? 'canceled' : 'completed'
+  };
+}
+
+module.exports = { createWebhookVerifier, parseOrderEvent, SIGNATURE_HEADER, DELIVERY_RETENTION_MS };
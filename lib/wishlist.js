@@ -0,0 +1,112 @@
+// ---------------------------------------------------------------------------
+// Group wishlist, ranked voting and the locked-in selection
+// group.wishlist  – [{ id, productId, variantId, product, addedBy, addedAt }]
+//                   product is the snapshot we served from /api/products, switched
+//                   to the picked variant (the same product in another size is
+//                   a separate item)
+// group.votes     – { [memberId]: [itemId, ...] } each member's ranking, best first
+// group.selection – { items: [{ itemId, quantity }], lockedAt, lockedBy } once the lead
+//                   locks in the gift (one or more items, possibly from several shops)
+// Rankings are tallied with a Borda count: on a wishlist of N items a member's
+// first choice earns N points, their second N-1, and so on.
+// ---------------------------------------------------------------------------
+const { v4: uuidv4 } = require('uuid');
+
+function emptyWishlist() {
+  return { wishlist: [], votes: {}, selection: null };
+}
+
+function findItem(group, itemId) {
+  return group.wishlist.find(item => item.id === itemId) || null;
+}
+
+function addItem(group, product, memberId, now = new Date()) {
+  const existing = group.wishlist.find(item => item.productId === product.id && item.variantId === product.variantId);
+  if (existing) return { item: existing, added: false };
+
+  const item = {
+    id: uuidv4(),
+    productId: product.id,
+    variantId: product.variantId || null,
+    product: { ...product },
+    addedBy: memberId,
+    addedAt: now.toISOString()
+  };
+  group.wishlist.push(item);
+  return { item, added: true };
+}
+
+function removeItem(group, itemId) {
+  group.wishlist = group.wishlist.filter(item => item.id !== itemId);
+  for (const memberId of Object.keys(group.votes)) {
+    group.votes[memberId] = group.votes[memberId].filter(id => id !== itemId);
+    if (!group.votes[memberId].length) delete group.votes[memberId];
+  }
+}
+
+// Returns an error message, or null once the ranking is stored
+function setRanking(group, memberId, ranking) {
+  if (!Array.isArray(ranking)) return 'ranking must be an array of wishlist item ids';
+  const unique = [...new Set(ranking)];
+  if (unique.some(id => !findItem(group, id))) return 'ranking contains an unknown wishlist item';
+  if (unique.length) group.votes[memberId] = unique;
+  else delete group.votes[memberId];
+  return null;
+}
+
+// Wishlist items with their Borda score, best first (ties: earliest added)
+function tally(group) {
+  const size = group.wishlist.length;
+  const scores = {};
+  const firstChoices = {};
+  for (const ranking of Object.values(group.votes)) {
+    ranking.forEach((itemId, position) => {
+      scores[itemId] = (scores[itemId] || 0) + (size - position);
+    });
+    if (ranking.length) firstChoices[ranking[0]] = (firstChoices[ranking[0]] || 0) + 1;
+  }
+
+  return group.wishlist
+    .map((item, index) => ({ ...item, score: scores[item.id] || 0, firstChoiceVotes: firstChoices[item.id] || 0, index }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ index, ...item }) => item);
+}
+
+// picks: [{ itemId, quantity }]; with no picks the top-ranked item is locked
+function lockSelection(group, { picks, memberId }, now = new Date()) {
+  const chosen = picks && picks.length ? picks : [{ itemId: tally(group)[0]?.id, quantity: 1 }];
+  const items = [];
+  for (const pick of chosen) {
+    const item = pick.itemId ? findItem(group, pick.itemId) : null;
+    if (!item) return { error: pick.itemId ? 'Wishlist item not found' : 'The wishlist is empty' };
+    const quantity = parseInt(pick.quantity || 1, 10);
+    if (!(quantity > 0)) return { error: 'quantity must be a positive integer' };
+    if (items.some(i => i.itemId === item.id)) return { error: 'Each wishlist item can only be locked once' };
+    items.push({ itemId: item.id, quantity });
+  }
+
+  group.selection = { items, lockedAt: now.toISOString(), lockedBy: memberId };
+  return { selected: selectedItems(group) };
+}
+
+// [{ item, quantity }] for the locked selection (empty when nothing is locked)
+function selectedItems(group) {
+  if (!group.selection) return [];
+  return group.selection.items
+    .map(({ itemId, quantity }) => ({ item: findItem(group, itemId), quantity }))
+    .filter(({ item }) => item);
+}
+
+const isSelected = (group, itemId) => !!group.selection?.items.some(i => i.itemId === itemId);
+
+module.exports = {
+  emptyWishlist,
+  findItem,
+  addItem,
+  removeItem,
+  setRanking,
+  tally,
+  lockSelection,
+  selectedItems,
+  isSelected
+};
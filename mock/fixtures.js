@@ -0,0 +1,100 @@
+// ---------------------------------------------------------------------------
+// Mock catalog fixtures – raw Catalog API shape (prices in cents), so the
+// app's own mapCatalogProduct() is exercised end to end. Variant checkout URLs
+// point at made-up shop domains; the mock merchant serves all of them.
+//   mock-toys.test     – a normal shop
+//   mock-home.test     – a second normal shop (multi-merchant orders)
+//   mock-disabled.test – has not enabled agent checkout (ACCESS_DISABLED)
+// ---------------------------------------------------------------------------
+
+const variant = (shop, id, title, cents, options = [], available = true) => ({
+  id: `gid://shopify/ProductVariant/${id}`,
+  title,
+  price: { amount: cents, currency: 'USD' },
+  availableForSale: available,
+  options,
+  shop: { name: shop.name },
+  checkoutUrl: `https://${shop.domain}/cart/${id}:1`,
+  variantUrl: `https://${shop.domain}/products/${id}`
+});
+
+const SHOPS = {
+  toys: { name: 'Mock Toy Shop', domain: 'mock-toys.test' },
+  home: { name: 'Mock Home Store', domain: 'mock-home.test' },
+  disabled: { name: 'Closed Gallery', domain: 'mock-disabled.test' }
+};
+
+const product = ({ id, title, category, description, rating, variants }) => {
+  const prices = variants.map(v => v.price.amount);
+  return {
+    id: `gid://shopify/p/${id}`,
+    title,
+    description,
+    techSpecs: [`Category: ${category}`],
+    priceRange: {
+      min: { amount: Math.min(...prices), currency: 'USD' },
+      max: { amount: Math.max(...prices), currency: 'USD' }
+    },
+    media: [{ url: `https://picsum.photos/seed/${id}/400/300` }],
+    rating,
+    variants
+  };
+};
+
+const PRODUCTS = [
+  product({
+    id: 'mock-robot',
+    title: 'Wind-up Robot',
+    category: 'Toys',
+    description: 'A tin robot that walks and sparks.',
+    rating: { rating: 4.6, count: 120 },
+    variants: [
+      variant(SHOPS.toys, 9001, 'Silver', 2400, [{ name: 'Color', value: 'Silver' }]),
+      variant(SHOPS.toys, 9002, 'Red', 2400, [{ name: 'Color', value: 'Red' }]),
+      variant(SHOPS.toys, 9003, 'Gold', 3200, [{ name: 'Color', value: 'Gold' }], false)
+    ]
+  }),
+  product({
+    id: 'mock-puzzle',
+    title: 'Wooden Puzzle Box',
+    category: 'Toys',
+    description: 'Twelve moves to open.',
+    rating: { rating: 4.2, count: 38 },
+    variants: [variant(SHOPS.toys, 9010, 'Default Title', 1800)]
+  }),
+  product({
+    id: 'mock-blanket',
+    title: 'Knitted Throw Blanket',
+    category: 'Home',
+    description: 'Chunky merino throw.',
+    rating: { rating: 4.8, count: 305 },
+    variants: [
+      variant(SHOPS.home, 9020, 'Oat', 8900, [{ name: 'Color', value: 'Oat' }]),
+      variant(SHOPS.home, 9021, 'Moss', 8900, [{ name: 'Color', value: 'Moss' }])
+    ]
+  }),
+  product({
+    id: 'mock-teapot',
+    title: 'Cast Iron Teapot',
+    category: 'Home',
+    description: 'Keeps tea hot for an hour.',
+    rating: { rating: 4.4, count: 76 },
+    variants: [variant(SHOPS.home, 9030, 'Default Title', 5600)]
+  }),
+  product({
+    id: 'mock-print',
+    title: 'Limited Edition Print',
+    category: 'Art',
+    description: 'Signed giclée print.',
+    rating: { rating: 4.9, count: 12 },
+    variants: [variant(SHOPS.disabled, 9040, 'Default Title', 15000)]
+  })
+];
+
+// Test cards for the mock card server
+const CARDS = {
+  DECLINED: '4000000000000002',      // tokenization fails
+  ESCALATION: '4000000000003220'     // complete_checkout answers requires_escalation
+};
+
+module.exports = { SHOPS, PRODUCTS, CARDS };
@@ -0,0 +1,316 @@
+// ---------------------------------------------------------------------------
+// Offline stand-ins for every upstream service the app calls:
+//   POST /auth/access_token                  – Catalog API auth and checkout token exchange
+//   GET  /global/v2/search, /global/v2/p/:id – Catalog API search and product
+//   POST /sessions                           – card server tokenization
+//   POST /shops/:shopDomain/api/ucp/mcp      – UCP merchant (JSON-RPC 2.0)
+//   GET  /shops/:shopDomain/checkouts/:id    – continue_url page speaking ECP
+// All state is in memory. Run with `npm run mock` and point the app at it
+// (see README "Offline mode").
+// ---------------------------------------------------------------------------
+const express = require('express');
+const cors = require('cors');
+const { v4: uuidv4 } = require('uuid');
+const { SHOPS, PRODUCTS, CARDS } = require('./fixtures');
+
+const MOCK_TOKEN = 'mock-catalog-token';
+const CHECKOUT_TOKEN_TTL_MS = 10 * 60 * 1000;
+
+function createMockServices({ baseUrl }) {
+  const app = express();
+  app.use(express.json());
+
+  const checkouts = new Map();   // checkout id → checkout
+  const cardTokens = new Map();  // token → { last4, escalate }
+  const checkoutTokens = new Map();  // ec_auth token → { shopDomain, checkoutId, exp }
+
+  const allVariants = () => PRODUCTS.flatMap(p => p.variants.map(v => ({ product: p, variant: v })));
+  const shopOf = variant => new URL(variant.checkoutUrl).host;
+
+  // -------------------------------------------------------------------------
+  // Catalog API
+  // -------------------------------------------------------------------------
+  app.post('/auth/access_token', (req, res) => {
+    if (!req.body.client_id || !req.body.client_secret) return res.status(401).json({ error: 'invalid_client' });
+    if (req.body.grant_type !== 'urn:ietf:params:oauth:grant-type:token-exchange') {
+      return res.json({ access_token: MOCK_TOKEN, token_type: 'Bearer', expires_in: 3600 });
+    }
+
+    // Token exchange: our Catalog token → a token for one embedded checkout
+    const { subject_token: subjectToken, shop_domain: shopDomain, checkout_id: checkoutId } = req.body;
+    if (subjectToken !== MOCK_TOKEN) return res.status(401).json({ error: 'invalid_grant' });
+    const checkout = checkouts.get(checkoutId);
+    if (!checkout || checkout.shop !== shopDomain) return res.status(400).json({ error: 'invalid_target' });
+    const token = `ecp-${uuidv4()}`;
+    checkoutTokens.set(token, { shopDomain, checkoutId, exp: Date.now() + CHECKOUT_TOKEN_TTL_MS });
+    res.json({ access_token: token, token_type: 'Bearer', expires_in: CHECKOUT_TOKEN_TTL_MS / 1000 });
+  });
+
+  const requireCatalogToken = (req, res, next) => {
+    if (req.headers.authorization !== `Bearer ${MOCK_TOKEN}`) return res.status(401).json({ error: 'unauthorized' });
+    next();
+  };
+
+  app.get('/global/v2/search', requireCatalogToken, (req, res) => {
+    const query = String(req.query.query || '').toLowerCase();
+    const category = String(req.query.categories || '').toLowerCase();
+    const min = req.query.min_price ? Math.round(parseFloat(req.query.min_price) * 100) : null;
+    const max = req.query.max_price ? Math.round(parseFloat(req.query.max_price) * 100) : null;
+    const limit = parseInt(req.query.limit || '10', 10);
+
+    const results = PRODUCTS.filter(p => {
+      // "gift" is the app's default query – treat it as "everything"
+      const text = `${p.title} ${p.description} ${p.techSpecs.join(' ')}`.toLowerCase();
+      if (query && query !== 'gift' && !query.split(/\s+/).every(word => text.includes(word))) return false;
+      if (category && !p.techSpecs.some(s => s.toLowerCase() === `category: ${category}`)) return false;
+      if (min !== null && p.priceRange.max.amount < min) return false;
+      if (max !== null && p.priceRange.min.amount > max) return false;
+      return true;
+    });
+    res.json(results.slice(0, limit));
+  });
+
+  app.get('/global/v2/p/:id', requireCatalogToken, (req, res) => {
+    const product = PRODUCTS.find(p => p.id === req.params.id);
+    if (!product) return res.status(404).json({ error: 'not_found' });
+    res.json(product);
+  });
+
+  // -------------------------------------------------------------------------
+  // Card server – POST /sessions { credit_card, payment_session_scope }
+  // Browsers call it directly, so it answers CORS like the real one
+  // -------------------------------------------------------------------------
+  app.options('/sessions', cors());
+  app.post('/sessions', cors(), (req, res) => {
+    const card = req.body.credit_card || {};
+    const number = String(card.number || '').replace(/\s/g, '');
+    if (!/^\d{12,19}$/.test(number) || !card.month || !card.year) {
+      return res.status(422).json({ error: 'Invalid card details' });
+    }
+    if (number === CARDS.DECLINED) return res.status(402).json({ error: 'Card declined' });
+
+    const id = `mock_card_${uuidv4()}`;
+    cardTokens.set(id, { last4: number.slice(-4), escalate: number === CARDS.ESCALATION });
+    res.json({ id });
+  });
+
+  // -------------------------------------------------------------------------
+  // UCP merchant – one JSON-RPC endpoint per shop domain
+  // -------------------------------------------------------------------------
+  const TOOLS = ['create_checkout', 'get_checkout', 'update_checkout', 'cancel_checkout', 'complete_checkout'];
+
+  class RpcError extends Error {
+    constructor(code, message, data) {
+      super(message);
+      this.rpc = { code, message, data };
+    }
+  }
+  const invalid = (message, code = 'INVALID_PARAMS') => new RpcError(-32602, 'Invalid params', { code, message });
+
+  // Validate and price line items for this shop
+  function priceLines(shopDomain, lineItems) {
+    if (!Array.isArray(lineItems) || !lineItems.length) throw invalid('line_items must not be empty');
+    return lineItems.map(line => {
+      const id = String(line.item?.id || '').split('?')[0];
+      const found = allVariants().find(({ variant }) => variant.id === id);
+      if (!found || shopOf(found.variant) !== shopDomain) throw invalid(`Unknown variant ${id} for ${shopDomain}`, 'NOT_FOUND');
+      if (!found.variant.availableForSale) throw invalid(`${found.product.title} is sold out`, 'SOLD_OUT');
+      const quantity = parseInt(line.quantity || 1, 10);
+      return {
+        id: `li_${id.split('/').pop()}`,
+        item: { id, title: `${found.product.title} – ${found.variant.title}`, price: found.variant.price.amount },
+        quantity,
+        totals: [{ type: 'subtotal', amount: found.variant.price.amount * quantity }]
+      };
+    });
+  }
+
+  const destinationOf = checkout => checkout.fulfillment?.methods?.[0]?.destinations?.[0] || null;
+
+  // Recompute totals, messages and status after any change
+  function settle(checkout) {
+    const subtotal = checkout.line_items.reduce((sum, line) => sum + line.totals[0].amount, 0);
+    const shipping = 795;
+    checkout.totals = [
+      { type: 'subtotal', amount: subtotal },
+      { type: 'fulfillment', amount: shipping },
+      { type: 'total', amount: subtotal + shipping }
+    ];
+
+    const destination = destinationOf(checkout);
+    const missing = ['street_address', 'address_locality', 'postal_code', 'address_country']
+      .filter(field => !destination || !destination[field]);
+    checkout.messages = missing.length
+      ? [{ type: 'error', code: 'missing', path: '$.fulfillment.methods[0].destinations[0]', content: `Missing ${missing.join(', ')}` }]
+      : [];
+    if (!checkout.buyer?.email) checkout.messages.push({ type: 'error', code: 'missing', path: '$.buyer.email', content: 'Buyer email is required' });
+    checkout.status = checkout.messages.length ? 'incomplete' : 'ready_for_complete';
+    return checkout;
+  }
+
+  function findCheckout(shopDomain, id) {
+    const checkout = checkouts.get(id);
+    if (!checkout || checkout.shop !== shopDomain) throw invalid(`Checkout ${id} not found`, 'NOT_FOUND');
+    return checkout;
+  }
+
+  const view = ({ shop, idempotency_key, ...checkout }) => checkout;
+
+  const tools = {
+    create_checkout(shopDomain, args) {
+      const input = args.checkout || {};
+      // Same idempotency key → same checkout (retries never duplicate)
+      const existing = [...checkouts.values()].find(c => c.shop === shopDomain && input.idempotency_key && c.idempotency_key === input.idempotency_key);
+      if (existing) return existing;
+
+      const id = `gid://shopify/Checkout/${uuidv4()}`;
+      const checkout = {
+        id,
+        shop: shopDomain,
+        idempotency_key: input.idempotency_key || null,
+        currency: input.currency || 'USD',
+        line_items: priceLines(shopDomain, input.line_items),
+        buyer: input.buyer || {},
+        fulfillment: input.fulfillment || null,
+        continue_url: `${baseUrl}/shops/${encodeURIComponent(shopDomain)}/checkouts/${encodeURIComponent(id)}`,
+        order: null
+      };
+      checkouts.set(id, settle(checkout));
+      return checkout;
+    },
+
+    get_checkout(shopDomain, args) {
+      return findCheckout(shopDomain, args.id);
+    },
+
+    update_checkout(shopDomain, args) {
+      const checkout = findCheckout(shopDomain, args.id);
+      if (['completed', 'canceled'].includes(checkout.status)) throw invalid(`Checkout is ${checkout.status}`, 'INVALID_STATE');
+      const input = args.checkout || {};
+      if (input.line_items) checkout.line_items = priceLines(shopDomain, input.line_items);
+      if (input.buyer) checkout.buyer = input.buyer;
+      if (input.fulfillment) checkout.fulfillment = input.fulfillment;
+      return settle(checkout);
+    },
+
+    cancel_checkout(shopDomain, args) {
+      const checkout = findCheckout(shopDomain, args.id);
+      if (checkout.status === 'completed') throw invalid('Checkout is completed', 'INVALID_STATE');
+      checkout.status = 'canceled';
+      return checkout;
+    },
+
+    complete_checkout(shopDomain, args) {
+      const checkout = findCheckout(shopDomain, args.id);
+      if (checkout.status === 'completed') return checkout;
+      if (checkout.status !== 'ready_for_complete') throw invalid('Checkout is not ready to complete', 'INVALID_STATE');
+
+      const instrument = args.payment?.instruments?.find(i => i.selected) || args.payment?.instruments?.[0];
+      const card = cardTokens.get(instrument?.credential?.token);
+      if (!card) throw invalid('Unknown payment token', 'INVALID_PAYMENT');
+      if (card.escalate) {
+        checkout.status = 'requires_escalation';
+        checkout.messages = [{ type: 'error', code: 'requires_buyer_review', content: 'Card requires 3-D Secure verification' }];
+        return checkout;
+      }
+      return placeOrder(checkout);
+    }
+  };
+
+  function placeOrder(checkout) {
+    checkout.status = 'completed';
+    checkout.messages = [];
+    checkout.order = {
+      id: `gid://shopify/Order/${Math.floor(Math.random() * 1e12)}`,
+      permalink_url: `${baseUrl}/shops/${encodeURIComponent(checkout.shop)}/orders/${checkouts.size}`
+    };
+    return checkout;
+  }
+
+  app.post('/shops/:shopDomain/api/ucp/mcp', (req, res) => {
+    const { shopDomain } = req.params;
+    const { id, method, params } = req.body || {};
+    const reply = payload => res.json({ jsonrpc: '2.0', id, ...payload });
+
+    if (!req.headers.authorization) return res.status(401).json({ jsonrpc: '2.0', id, error: { code: -32001, message: 'Unauthorized' } });
+    if (!Object.values(SHOPS).some(shop => shop.domain === shopDomain)) return res.status(404).json({ error: 'Unknown shop' });
+    if (shopDomain === SHOPS.disabled.domain) {
+      return reply({ error: { code: -32000, message: 'Forbidden', data: { code: 'ACCESS_DISABLED' } } });
+    }
+
+    if (method === 'tools/list') {
+      return reply({ result: { tools: TOOLS.map(name => ({ name, inputSchema: { type: 'object' } })) } });
+    }
+    if (method !== 'tools/call' || !tools[params?.name]) {
+      return reply({ error: { code: -32601, message: `Method not found: ${params?.name || method}` } });
+    }
+
+    try {
+      const checkout = tools[params.name](shopDomain, params.arguments || {});
+      reply({ result: { content: [{ type: 'text', text: JSON.stringify(view(checkout)) }] } });
+    } catch (err) {
+      if (!err.rpc) throw err;
+      reply({ error: err.rpc });
+    }
+  });
+
+  // -------------------------------------------------------------------------
+  // continue_url – a tiny checkout page that speaks the Embedded Checkout
+  // Protocol to its opener (ec.ready → ec.start → ec.complete). ec_auth must
+  // be a token exchanged for this very checkout; the Catalog token is refused.
+  // -------------------------------------------------------------------------
+  app.get('/shops/:shopDomain/checkouts/:id', (req, res) => {
+    const checkout = checkouts.get(req.params.id);
+    if (!checkout || checkout.shop !== req.params.shopDomain) return res.status(404).send('Checkout not found');
+    const grant = checkoutTokens.get(String(req.query.ec_auth || ''));
+    if (!grant || grant.checkoutId !== checkout.id || grant.shopDomain !== checkout.shop || grant.exp < Date.now()) {
+      return res.status(401).send('ec_auth is not valid for this checkout');
+    }
+    const total = checkout.totals.find(t => t.type === 'total').amount;
+    const lines = checkout.line_items.map(l => `<li>${l.quantity} × ${l.item.title}</li>`).join('');
+
+    res.type('html').send(`<!doctype html>
+<html><head><meta charset="utf-8"><title>Mock checkout – ${req.params.shopDomain}</title>
+<style>body{font-family:sans-serif;max-width:420px;margin:40px auto}button{padding:10px 20px;font-size:16px}</style></head>
+<body>
+  <h2>${req.params.shopDomain}</h2>
+  <ul>${lines}</ul>
+  <p>Total: $${(total / 100).toFixed(2)} (${checkout.status})</p>
+  <button id="pay">Pay now</button>
+  <script>
+    const host = window.opener || window.parent;
+    const send = msg => host && host.postMessage(JSON.stringify(Object.assign({ jsonrpc: '2.0' }, msg)), '*');
+    send({ id: 'ready-1', method: 'ec.ready', params: { delegate: ['fulfillment.address_change'] } });
+    send({ method: 'ec.start', params: { checkout: { id: ${JSON.stringify(checkout.id)} } } });
+    document.getElementById('pay').onclick = async () => {
+      const r = await fetch(location.pathname + '/pay', { method: 'POST' });
+      send({ method: 'ec.complete', params: { checkout: await r.json() } });
+    };
+  </script>
+</body></html>`);
+  });
+
+  // The buyer paid inside the mock checkout page
+  app.post('/shops/:shopDomain/checkouts/:id/pay', (req, res) => {
+    const checkout = checkouts.get(req.params.id);
+    if (!checkout || checkout.shop !== req.params.shopDomain) return res.status(404).json({ error: 'Checkout not found' });
+    if (checkout.status === 'canceled') return res.status(409).json({ error: 'Checkout is canceled' });
+    res.json(view(checkout.status === 'completed' ? checkout : placeOrder(checkout)));
+  });
+
+  return app;
+}
+
+module.exports = { createMockServices, MOCK_TOKEN };
+
+if (require.main === module) {
+  const port = process.env.MOCK_PORT || 4000;
+  const baseUrl = `http://localhost:${port}`;
+  createMockServices({ baseUrl }).listen(port, () => {
+    console.log(`Mock Catalog API, card server and UCP merchants on ${baseUrl}`);
+    console.log('Point the app at them with:');
+    console.log(`  SHOPIFY_CATALOG_CLIENT_ID=mock SHOPIFY_CATALOG_CLIENT_SECRET=mock`);
+    console.log(`  CATALOG_AUTH_URL=${baseUrl}/auth/access_token CATALOG_API_URL=${baseUrl}/global/v2`);
+    console.log(`  CARD_SERVER_URL=${baseUrl}/sessions UCP_ENDPOINT_TEMPLATE=${baseUrl}/shops/{shopDomain}/api/ucp/mcp`);
+  });
+}
@@ -6,71 +6,207 @@ const path = require('path');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
+// Structured logs scrubbed of card data, tokens and personal data
+// (lib/logger.js); console output of the lib/ modules goes through it too
+const { createLogger, captureConsole, withRequestId, currentRequestId } = require('./lib/logger');
+const logger = createLogger();
+captureConsole(logger);
+const { createRegistry } = require('./lib/metrics');
+const { createStore } = require('./lib/store');
+const contributions = require('./lib/contributions');
+const { createMailer } = require('./lib/mailer');
+const { relayAddressFor } = require('./lib/relay');
+const { createRelayInbox } = require('./lib/relay-inbox');
+const tokens = require('./lib/tokens');
+const invites = require('./lib/invites');
+const { createAuth, roleFor, memberFor, sameEmail } = require('./lib/auth');
+const { groupView, timelineView } = require('./lib/groups');
+const catalog = require('./lib/catalog');
+const search = require('./lib/search');
+const recommendations = require('./lib/recommendations');
+const wishlist = require('./lib/wishlist');
+const groupOrders = require('./lib/group-orders');
+const orders = require('./lib/orders');
+const { createNotifier } = require('./lib/notifications');
+const occasions = require('./lib/occasions');
+const { createScheduler } = require('./lib/scheduler');
+const address = require('./lib/address');
+const { createCheckoutLaunch } = require('./lib/checkout-launch');
+const webhooks = require('./lib/webhooks');
+const {
+  createUcpClient,
+  continueUrlOf,
+  UcpAccessDisabledError,
+  UcpValidationError,
+  UcpEscalationError
+} = require('./lib/ucp-client');
 
 const app = express();
 app.use(cors());
-app.use(express.json());
-
-const PORT = process.env.PORT || 3000;
-
-// In-memory stores (for demo only)
-const groups = {};
-let nextGroupId = 1;
-
-const MOCK_PRODUCTS = [
-  { id: '1', title: 'Wireless Headphones', product_type: 'Electronics', price: 99.99 },
-  { id: '2', title: 'Ceramic Coffee Mug', product_type: 'Home', price: 19.99 },
-  { id: '3', title: 'Standing Desk Lamp', product_type: 'Home', price: 49.5 }
-];
+// Webhook signatures are computed over the exact bytes received
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 // ---------------------------------------------------------------------------
-// Shopify Catalog API helpers
+// Metrics (lib/metrics.js), scraped from GET /metrics
 // ---------------------------------------------------------------------------
-const CATALOG_AUTH_URL = 'https://api.shopify.com/auth/access_token';
-const CATALOG_SEARCH_URL = 'https://discover.shopifyapps.com/global/v2/search';
+const metrics = createRegistry();
+const httpRequests = metrics.counter('http_requests_total', 'API requests by method, route and status');
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'API request latency by method and route');
+const catalogRequests = metrics.counter('catalog_requests_total', 'Catalog API calls by kind (token, search, product) and outcome');
+const catalogDuration = metrics.histogram('catalog_request_duration_seconds', 'Catalog API latency by kind');
+const catalogSearches = metrics.counter('catalog_searches_total', 'Catalog searches, cache hits included, by outcome');
+const tokenRefreshes = metrics.counter('catalog_token_refreshes_total', 'Catalog API token refreshes by outcome');
+// Checkout outcomes are the create/update/complete_checkout series: ok or the error code
+const ucpCalls = metrics.counter('ucp_tool_calls_total', 'UCP calls to merchants by tool and outcome (ok or error code)');
+const ucpDuration = metrics.histogram('ucp_call_duration_seconds', 'UCP call latency by tool, retries included');
+
+const CACHE_RESULTS = { hits: 'hit', staleHits: 'stale_hit', misses: 'miss', coalesced: 'coalesced', errors: 'error' };
+metrics.collected('catalog_cache_lookups_total', 'Catalog response cache lookups by result', () => {
+  const stats = catalog.cacheStats();
+  return Object.entries(CACHE_RESULTS).map(([stat, result]) => ({ labels: { result }, value: stats[stat] }));
+}, 'counter');
+metrics.collected('catalog_rate_limit_queued', 'Catalog API calls waiting for the rate limiter', () => catalog.cacheStats().rateLimitQueued);
+metrics.collected('process_start_time_seconds', 'Start time of the process since the Unix epoch', () =>
+  Math.round(Date.now() / 1000 - process.uptime()));
 
-let catalogToken = null;
-let catalogTokenExpiry = 0;
+catalog.observe(event => {
+  if (event.type === 'request') {
+    catalogRequests.inc({ kind: event.kind, outcome: event.outcome });
+    catalogDuration.observe({ kind: event.kind }, event.durationMs / 1000);
+  } else if (event.type === 'search') {
+    catalogSearches.inc({ outcome: event.outcome });
+  } else if (event.type === 'token_refresh') {
+    tokenRefreshes.inc({ outcome: event.outcome });
+  }
+});
 
-async function getCatalogToken() {
-  const clientId = process.env.SHOPIFY_CATALOG_CLIENT_ID;
-  const clientSecret = process.env.SHOPIFY_CATALOG_CLIENT_SECRET;
-  if (!clientId || !clientSecret) return null;
+// Request ids: a well-formed incoming X-Request-Id (e.g. from a proxy) is kept,
+// otherwise one is generated. It is echoed back, carried by every log line
+// written while serving the request and sent along with its UCP calls.
+// Registered after the body parser, which would lose the async context.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+  res.set('X-Request-Id', req.id);
+  withRequestId(req.id, next);
+});
 
-  // Re-use token if still valid (with 60s buffer)
-  if (catalogToken && Date.now() < catalogTokenExpiry - 60000) {
-    return catalogToken;
+// One log line per API request, labelled with the route pattern. Error bodies
+// explain the status; request bodies are only logged at debug level.
+const httpLog = logger.child({ scope: 'HTTP' });
+const routeOf = req => (req.route ? req.route.path : 'unmatched');
+
+app.use('/api', (req, res, next) => {
+  const started = Date.now();
+  if (req.body && Object.keys(req.body).length > 0) {
+    httpLog.debug('Request body', { method: req.method, path: req.originalUrl, body: req.body });
   }
 
-  const r = await fetch(CATALOG_AUTH_URL, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ client_id: clientId, client_secret: clientSecret, grant_type: 'client_credentials' })
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = body => {
+    responseBody = body;
+    return json(body);
+  };
+  res.on('finish', () => {
+    const route = routeOf(req);
+    const durationMs = Date.now() - started;
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, durationMs / 1000);
+
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    httpLog[level](`${req.method} ${route}`, {
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs,
+      requestId: req.id,
+      ...(res.statusCode >= 400 && responseBody !== undefined ? { response: responseBody } : {})
+    });
   });
-  const body = await r.json();
-  if (body && body.access_token) {
-    catalogToken = body.access_token;
-    catalogTokenExpiry = Date.now() + (body.expires_in || 3600) * 1000;
-    return catalogToken;
-  }
-  throw new Error('Failed to obtain Catalog API token');
+  next();
+});
+
+const PORT = process.env.PORT || 3000;
+// Upstream endpoints – override them to run against the stand-ins in mock/
+const CARD_SERVER_URL = process.env.CARD_SERVER_URL || 'https://checkout.pci.shopifyinc.com/sessions';
+const UCP_ENDPOINT_TEMPLATE = process.env.UCP_ENDPOINT_TEMPLATE || 'https://{shopDomain}/api/ucp/mcp';
+// Public base URL used in links we email out (invites, ...)
+const APP_URL = (process.env.APP_URL || `https://localhost:${PORT}`).replace(/\/$/, '');
+
+// Group state lives in the pluggable store (STORE_DRIVER=file|memory)
+const store = createStore();
+const mailer = createMailer();
+// Milestone mail to the group's members (funded, purchased, shipped, delivered)
+const notifier = createNotifier({ mailer, appUrl: APP_URL });
+const auth = createAuth({ store });
+app.use(auth.sessionMiddleware);
+
+// UCP/MCP client for merchant checkouts (see lib/ucp-client.js)
+const ucpEndpointFor = shopDomain => UCP_ENDPOINT_TEMPLATE.replace('{shopDomain}', encodeURIComponent(shopDomain));
+const ucp = createUcpClient({
+  fetch,
+  getToken: catalog.getCatalogToken,
+  agentProfileUrl: process.env.AGENT_PROFILE_URL || `http://localhost:${PORT}/profiles/gift-agent.json`,
+  endpointFor: ucpEndpointFor,
+  requestId: currentRequestId,
+  onCall: ({ tool, outcome, durationMs }) => {
+    ucpCalls.inc({ tool, outcome });
+    ucpDuration.observe({ tool }, durationMs / 1000);
+  },
+  log: logger.child({ scope: 'UCP' })
+});
+// Single-use links that open a merchant checkout without returning ec_auth as data
+const checkoutLaunch = createCheckoutLaunch({ store, tokens, endpointFor: ucpEndpointFor });
+// Order webhooks are refused until a signing secret is configured
+if (process.env.ORDER_WEBHOOK_SECRET) tokens.checkSecret('ORDER_WEBHOOK_SECRET', process.env.ORDER_WEBHOOK_SECRET);
+const orderWebhooks = process.env.ORDER_WEBHOOK_SECRET
+  ? webhooks.createWebhookVerifier({ secret: process.env.ORDER_WEBHOOK_SECRET })
+  : null;
+
+// Role guards for group routes (see lib/auth.js)
+const lead = auth.requireGroupRole('lead');
+const anyMember = auth.requireGroupRole('lead', 'member');
+
+// Express 4 does not catch rejected promises – forward them to the error handler
+const asyncRoute = fn => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+// ---------------------------------------------------------------------------
+// Milestones – the group's timeline and notifications (lib/orders.js,
+// lib/notifications.js). Mail goes out in the background once the change is
+// saved; the notifier logs its own failures.
+// ---------------------------------------------------------------------------
+function notifyGroup(group, milestone, detail) {
+  notifier.notify(group, milestone, detail)
+    .catch(err => logger.error('Milestone mail failed', { scope: 'Notify', milestone, groupId: group.id, error: err.message }));
 }
 
-async function searchCatalog(query, options = {}) {
-  const token = await getCatalogToken();
-  if (!token) return null;
+// Call before saving a change that can complete the ledger. Returns the
+// milestone detail when the group just became fully funded, else null.
+function trackFunding(group) {
+  if (!contributions.updateFunding(group)) return null;
+  const { targetAmount, currency } = contributions.computeLedger(group);
+  return orders.addTimeline(group, 'funded', { targetAmount, currency }).detail;
+}
 
-  const params = new URLSearchParams();
-  if (query) params.set('query', query);
-  if (options.limit) params.set('limit', options.limit);
-  if (options.categories) params.set('categories', options.categories);
+// Copy merchant orders that completed (or were canceled) onto their group
+async function trackPurchases(groupOrder) {
+  const group = await store.get('groups', groupOrder.groupId);
+  if (!group) return;
+  const { purchased, canceled } = orders.syncPurchases(group, groupOrder);
+  if (!purchased.length && !canceled.length) return;
+  await store.put('groups', group.id, group);
+  if (purchased.length) notifyGroup(group, 'purchased', { orders: purchased });
+}
 
-  const url = `${CATALOG_SEARCH_URL}?${params.toString()}`;
-  const r = await fetch(url, {
-    method: 'GET',
-    headers: { 'Authorization': `Bearer ${token}` }
-  });
-  return r.json();
+// Shipment updates from order webhooks
+async function trackFulfillment(groupId, update) {
+  const group = await store.get('groups', groupId);
+  if (!group) return;
+  const { order, milestone } = orders.applyFulfillment(group, update);
+  if (!order) return;
+  await store.put('groups', group.id, group);
+  if (milestone) notifyGroup(group, milestone, { order });
 }
 
 // ---------------------------------------------------------------------------
@@ -93,442 +229,1296 @@ app.get('/profiles/gift-agent.json', (req, res) => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// Health and metrics – outside /api, no session needed
+// GET /healthz  200 when the store answers within HEALTH_TIMEOUT_MS, else 503
+// GET /metrics  Prometheus text format (see the Metrics section above)
+// ---------------------------------------------------------------------------
+const HEALTH_TIMEOUT_MS = 2000;
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+app.get('/healthz', asyncRoute(async (req, res) => {
+  const started = Date.now();
+  let storeCheck;
+  try {
+    await withTimeout(store.get('groups', '__healthz__'), HEALTH_TIMEOUT_MS);
+    storeCheck = { status: 'ok', driver: store.driver, durationMs: Date.now() - started };
+  } catch (err) {
+    logger.error('Store check failed', { scope: 'Health', error: err.message });
+    storeCheck = { status: 'error', driver: store.driver, error: err.message };
+  }
+
+  const healthy = storeCheck.status === 'ok';
+  res.set('Cache-Control', 'no-store');
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'ok' : 'error',
+    uptimeSeconds: Math.round(process.uptime()),
+    checks: { store: storeCheck },
+    catalog: catalog.isConfigured() ? 'configured' : 'mock',
+    orderWebhooks: orderWebhooks ? 'configured' : 'disabled'
+  });
+}));
+
+app.get('/metrics', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
 // Serve static frontend
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Config endpoint — serves public API keys to the frontend
 app.get('/api/config', (req, res) => {
   res.json({
-    googlePlacesApiKey: process.env.GOOGLE_PLACES_API_KEY || ''
+    googlePlacesApiKey: process.env.GOOGLE_PLACES_API_KEY || '',
+    // Browsers tokenize cards here directly; card data never reaches this server
+    cardServerUrl: CARD_SERVER_URL
   });
 });
 
+// Countries with their region lists and postal-code formats for address forms
+app.get('/api/address/countries', (req, res) => {
+  res.json({ countries: address.countryFormats() });
+});
+
+// Validate and normalize an address without saving it (e.g. an address the
+// embedded checkout asks for) – same rules as the recipient route
+app.post('/api/address/normalize', (req, res) => {
+  const { address: normalized, error, fields } = address.normalizeAddress(req.body);
+  if (error) return res.status(400).json({ error, fields });
+  res.json({ address: normalized });
+});
+
 // Products endpoint: proxy to Shopify Catalog API or return mock
+// Both sources go through lib/search.js for filtering, sorting, paging and facets.
+// The Catalog API has no paging, so it is asked for one pool of up to
+// CATALOG_POOL_SIZE matches per query, which is then filtered and paged
+// locally. Results past the pool are never seen: pageInfo.truncated tells the
+// client the pool was full and the search should be narrowed.
+// Category and price filters go upstream so the pool holds the best filtered
+// matches; facets then come from a second, unfiltered pool for the same query
+// (usually cached from the search before the filter was picked), so every
+// category and price bucket stays on offer.
+const CATALOG_POOL_SIZE = 50;
+
 app.get('/api/products', async (req, res) => {
-  const q = (req.query.q || '').trim();
-  const filter = (req.query.filter || '').trim(); // e.g. category id
+  const { params, error } = search.parseSearchParams(req.query);
+  if (error) return res.status(400).json({ error });
 
   // Attempt to use Shopify Catalog API when credentials are configured
-  if (process.env.SHOPIFY_CATALOG_CLIENT_ID && process.env.SHOPIFY_CATALOG_CLIENT_SECRET) {
+  if (catalog.isConfigured()) {
     try {
-      const searchQuery = [q, filter].filter(Boolean).join(' ');
-      console.log('Fetching from Catalog API with query:', searchQuery || 'gift');
-      const body = await searchCatalog(searchQuery || 'gift', { limit: 10 });
-      console.log('Catalog API response type:', Array.isArray(body) ? 'array' : typeof body, 'length:', body?.length);
+      const query = params.q || 'gift';
+      const filtered = Boolean(params.category) || params.minPrice !== null || params.maxPrice !== null;
+      logger.debug('Searching', { scope: 'Catalog', query, category: params.category });
+      const [body, facetBody] = await Promise.all([
+        catalog.searchCatalog(query, {
+          limit: CATALOG_POOL_SIZE,
+          categories: params.category,
+          minPrice: params.minPrice,
+          maxPrice: params.maxPrice
+        }),
+        // Facets without them are a nicety – the results still go out if this fails
+        filtered
+          ? catalog.searchCatalog(query, { limit: CATALOG_POOL_SIZE }).catch(err => {
+            logger.warn('Facet search failed, facets cover the filtered results only', { scope: 'Catalog', error: err && err.message });
+            return null;
+          })
+          : null
+      ]);
 
       // Catalog API returns an array of products directly
       if (body && Array.isArray(body)) {
-        const products = body.map(p => {
-          // Extract the shop domain from variant URL for UCP/MCP checkout
-          const varUrl = p.variants?.[0]?.checkoutUrl || p.variants?.[0]?.variantUrl || '';
-          const domainMatch = varUrl.match(/^https?:\/\/([^/]+)/);
-          const shopDomain = domainMatch ? domainMatch[1] : null;
-
-          return {
-            id: p.id,
-            title: p.title,
-            description: p.description,
-            product_type: p.techSpecs?.find(s => s.includes('Category'))?.replace('Category: ', '') || '',
-            price: p.priceRange?.min?.amount ? (p.priceRange.min.amount / 100).toFixed(2) : null,
-            currency: p.priceRange?.min?.currency || 'USD',
-            image: p.media?.[0]?.url || null,
-            merchant: p.variants?.[0]?.shop?.name || null,
-            shopDomain,  // e.g. "happyhyggegifts.com" – needed for UCP/MCP checkout
-            rating: p.rating?.rating || null,
-            reviewCount: p.rating?.count || 0,
-            checkoutUrl: p.variants?.[0]?.checkoutUrl || null,
-            variantUrl: p.variants?.[0]?.variantUrl || null,
-            variantId: p.variants?.[0]?.id || null
-          };
+        const products = body.map(catalog.mapCatalogProduct);
+        catalog.rememberProducts(products);
+        const facetPool = Array.isArray(facetBody) ? facetBody.map(catalog.mapCatalogProduct) : null;
+        return res.json({
+          ...search.applySearch(products, params, { poolLimit: CATALOG_POOL_SIZE, facetPool }),
+          source: 'shopify_catalog_api'
         });
-        return res.json({ products, source: 'shopify_catalog_api' });
       } else {
-        console.log('Unexpected response format:', JSON.stringify(body).slice(0, 200));
+        logger.warn('Unexpected search response', { scope: 'Catalog', type: typeof body, body: JSON.stringify(body).slice(0, 200) });
       }
     } catch (err) {
-      console.error('Shopify Catalog API fetch failed, falling back to mock:', err && err.message);
+      logger.warn('Search failed, falling back to mock', { scope: 'Catalog', error: err && err.message });
     }
-  } else {
-    console.log('Catalog API credentials not configured');
   }
 
   // Fallback: mock behavior if Catalog API not configured or fetch fails
-  let results = MOCK_PRODUCTS.slice();
-  if (q) results = results.filter(p => p.title.toLowerCase().includes(q.toLowerCase()));
-  if (filter) results = results.filter(p => (p.product_type || '').toLowerCase() === filter.toLowerCase());
-  res.json({ products: results, source: 'mock' });
+  res.json({ ...search.applySearch(catalog.MOCK_PRODUCTS, params, { matchQuery: true }), source: 'mock' });
 });
 
-// Create a group (group lead)
-app.post('/api/groups', (req, res) => {
-  const { firstName, lastName, email, phone } = req.body;
-  if (!firstName || !lastName || !email) return res.status(400).json({ error: 'Missing lead info' });
-  const id = String(nextGroupId++);
+// Product detail – every variant with its options, price, availability and image
+app.get('/api/products/:id', asyncRoute(async (req, res) => {
+  const product = await catalog.getProduct(req.params.id);
+  if (!product) return res.status(404).json({ error: 'Product not found – search for it again' });
+  res.json({ product });
+}));
+
+// ---------------------------------------------------------------------------
+// Sign-in – magic links emailed to the address, redeemed for a session cookie
+// ---------------------------------------------------------------------------
+app.post('/api/auth/login', asyncRoute(async (req, res) => {
+  const email = (req.body.email || '').trim();
+  if (!/^[^@\s]+@[^@\s]+$/.test(email)) return res.status(400).json({ error: 'A valid email is required' });
+
+  const url = `${APP_URL}/api/auth/verify?token=${encodeURIComponent(auth.createLoginToken(email))}`;
+  await mailer.send({
+    to: email,
+    subject: 'Your Gift Registry sign-in link',
+    text: `Sign in to Gift Registry: ${url}\n\nThis link expires in 15 minutes and can be used once.`
+  });
+  // Same response whether or not the email belongs to any group
+  res.json({ sent: true });
+}));
+
+app.get('/api/auth/verify', asyncRoute(async (req, res) => {
+  let email;
+  try {
+    email = await auth.redeemLoginToken(req.query.token);
+  } catch (err) {
+    return res.redirect(`/?login=${err.code === 'TOKEN_EXPIRED' ? 'expired' : 'invalid'}`);
+  }
+  await auth.startSession(res, email);
+  res.redirect('/');
+}));
+
+app.post('/api/auth/logout', asyncRoute(async (req, res) => {
+  await auth.endSession(req, res);
+  res.json({ signedOut: true });
+}));
+
+// Who am I, and which groups can I open?
+app.get('/api/auth/me', asyncRoute(async (req, res) => {
+  if (!req.session) return res.json({ user: null, groups: [] });
+  const groups = (await store.list('groups'))
+    .map(group => ({ group, role: roleFor(group, req.session.email) }))
+    .filter(({ role }) => role)
+    .map(({ group, role }) => ({
+      id: group.id,
+      role,
+      leadName: `${group.lead.firstName} ${group.lead.lastName}`.trim(),
+      recipientName: group.recipient ? `${group.recipient.firstName || ''} ${group.recipient.lastName || ''}`.trim() : null
+    }));
+  res.json({ user: { email: req.session.email }, groups });
+}));
+
+// Create a group – the signed-in user becomes its lead
+app.post('/api/groups', auth.requireAuth, asyncRoute(async (req, res) => {
+  const { firstName, lastName, phone } = req.body;
+  const email = req.session.email;
+  if (!firstName || !lastName) return res.status(400).json({ error: 'Missing lead info' });
+  const id = uuidv4();
   // Group lead is also the first member with isLead flag
-  const leadMember = { id: '1', firstName, lastName, email, phone, isLead: true };
-  groups[id] = { id, lead: { firstName, lastName, email, phone }, members: [leadMember], recipient: null };
-  res.json({ group: groups[id] });
-});
+  const leadMember = { id: uuidv4(), firstName, lastName, email, phone, isLead: true, status: invites.INVITE_STATUS.ACCEPTED };
+  const group = {
+    id,
+    lead: { firstName, lastName, email, phone },
+    members: [leadMember],
+    recipient: null,
+    // Merchant-facing buyer email; mail sent here is forwarded to the lead
+    relayEmail: relayAddressFor(id),
+    contributions: contributions.emptyContributions(),
+    ...wishlist.emptyWishlist(),
+    ...orders.emptyOrders(),
+    occasion: null,
+    interests: []
+  };
+  await store.put('groups', id, group);
+  res.json({ group: groupView(group, { role: 'lead', memberId: leadMember.id }) });
+}));
+
+// ---------------------------------------------------------------------------
+// Member invitations – members are only added once they accept a signed,
+// expiring invite link sent through the mailer.
+// ---------------------------------------------------------------------------
+async function deliverInvite(group, member) {
+  const token = invites.issueInvite(group, member);
+  await store.put('groups', group.id, group);
+  await invites.sendInvite(mailer, { group, member, url: invites.inviteUrl(APP_URL, token) });
+}
 
-// Add/invite member
-app.post('/api/groups/:id/members', (req, res) => {
-  const group = groups[req.params.id];
-  if (!group) return res.status(404).json({ error: 'Group not found' });
+// Invite a member (starts out pending)
+app.post('/api/groups/:id/members', lead, asyncRoute(async (req, res) => {
+  const { group } = req;
   const { firstName, lastName, email, phone } = req.body;
   if (!email) return res.status(400).json({ error: 'Member email required' });
-  const member = { id: `${group.members.length + 1}`, firstName, lastName, email, phone };
-  group.members.push(member);
+  const existing = memberFor(group, email);
+  if (existing) return res.status(409).json({ error: 'That email is already in the group', member: existing });
+
+  // Someone revoked earlier gets their old entry back with a fresh invite
+  const revoked = group.members.find(m => sameEmail(m.email, email));
+  const member = revoked || { id: uuidv4() };
+  Object.assign(member, { firstName, lastName, email, phone });
+  if (!revoked) group.members.push(member);
+  await deliverInvite(group, member);
+  res.json({ member });
+}));
+
+// Resend a pending or declined invite – rotates the token so older links stop working
+app.post('/api/groups/:id/members/:memberId/resend', lead, asyncRoute(async (req, res) => {
+  const { group } = req;
+  const member = group.members.find(m => m.id === req.params.memberId);
+  if (!member) return res.status(404).json({ error: 'Member not found' });
+  if (![invites.INVITE_STATUS.PENDING, invites.INVITE_STATUS.DECLINED].includes(member.status)) {
+    return res.status(409).json({ error: `Cannot resend an invite that is ${member.status}` });
+  }
+  await deliverInvite(group, member);
+  res.json({ member });
+}));
+
+app.post('/api/groups/:id/members/:memberId/revoke', lead, asyncRoute(async (req, res) => {
+  const { group } = req;
+  const member = group.members.find(m => m.id === req.params.memberId);
+  if (!member) return res.status(404).json({ error: 'Member not found' });
+  if (member.isLead) return res.status(400).json({ error: 'The group lead cannot be revoked' });
+
+  member.status = invites.INVITE_STATUS.REVOKED;
+  delete group.contributions.pledges[member.id];
+  const funded = trackFunding(group);
+  await store.put('groups', group.id, group);
+  if (funded) notifyGroup(group, 'funded', funded);
   res.json({ member });
+}));
+
+// Remove a member outright (revoking keeps them listed as revoked)
+app.delete('/api/groups/:id/members/:memberId', lead, asyncRoute(async (req, res) => {
+  const { group } = req;
+  const member = group.members.find(m => m.id === req.params.memberId);
+  if (!member) return res.status(404).json({ error: 'Member not found' });
+  if (member.isLead) return res.status(400).json({ error: 'The group lead cannot be removed' });
+
+  group.members = group.members.filter(m => m.id !== member.id);
+  delete group.contributions.pledges[member.id];
+  const funded = trackFunding(group);
+  await store.put('groups', group.id, group);
+  if (funded) notifyGroup(group, 'funded', funded);
+  res.json({ removed: member.id });
+}));
+
+// Look up the invite behind a token (used by the invite landing page)
+async function loadInvite(req, res) {
+  let payload;
+  try {
+    payload = tokens.verify('invite', req.params.token);
+  } catch (err) {
+    res.status(err.code === 'TOKEN_EXPIRED' ? 410 : 400).json({ error: err.message });
+    return null;
+  }
+  const group = await store.get('groups', payload.groupId);
+  if (!group) {
+    res.status(404).json({ error: 'Group not found' });
+    return null;
+  }
+  const { member, error, status } = invites.resolveInvite(group, payload);
+  if (error) {
+    res.status(status).json({ error });
+    return null;
+  }
+  return { group, member };
+}
+
+const inviteView = ({ group, member }) => ({
+  groupId: group.id,
+  leadName: `${group.lead.firstName} ${group.lead.lastName}`.trim(),
+  member: { id: member.id, firstName: member.firstName, lastName: member.lastName, email: member.email },
+  status: member.status
 });
 
-// Set recipient address
-app.post('/api/groups/:id/recipient', (req, res) => {
-  const group = groups[req.params.id];
-  if (!group) return res.status(404).json({ error: 'Group not found' });
-  const { firstName, lastName, phone, address1, address2, city, state, provinceCode, postalCode, country } = req.body;
-  group.recipient = { firstName, lastName, phone, address1, address2, city, state, provinceCode, postalCode, country };
+app.get('/api/invites/:token', asyncRoute(async (req, res) => {
+  const invite = await loadInvite(req, res);
+  if (invite) res.json({ invite: inviteView(invite) });
+}));
+
+app.post('/api/invites/:token/:response(accept|decline)', asyncRoute(async (req, res) => {
+  const invite = await loadInvite(req, res);
+  if (!invite) return;
+  const { group, member } = invite;
+
+  member.status = req.params.response === 'accept' ? invites.INVITE_STATUS.ACCEPTED : invites.INVITE_STATUS.DECLINED;
+  member.invite.respondedAt = new Date().toISOString();
+  if (member.status === invites.INVITE_STATUS.DECLINED) delete group.contributions.pledges[member.id];
+  const funded = trackFunding(group);
+  await store.put('groups', group.id, group);
+  if (funded) notifyGroup(group, 'funded', funded);
+  // The invite link reached the member's inbox, so it doubles as a sign-in
+  if (member.status === invites.INVITE_STATUS.ACCEPTED) await auth.startSession(res, member.email);
+  res.json({ invite: inviteView(invite) });
+}));
+
+// Set recipient address – normalized by lib/address.js (ISO country, region
+// code, postal code format); 400 with per-field messages when it is invalid
+app.post('/api/groups/:id/recipient', lead, asyncRoute(async (req, res) => {
+  const { group } = req;
+  const { address: recipient, error, fields } = address.normalizeAddress(req.body);
+  if (error) return res.status(400).json({ error, fields });
+  group.recipient = recipient;
+  await store.put('groups', group.id, group);
   res.json({ recipient: group.recipient });
+}));
+
+// ---------------------------------------------------------------------------
+// Occasion – the date the gift is for and the deadline to buy it by. The
+// scheduler reminds members who have not pledged or voted and, lockAt
+// (OCCASION_LOCK_HOURS before the deadline), locks the wishlist and prompts
+// the lead to check out.
+// ---------------------------------------------------------------------------
+const occasionView = occasion => (occasion
+  ? { ...occasion, lockAt: new Date(occasions.cutoffTime(occasion)).toISOString() }
+  : null);
+
+// Body: { name?, date: "YYYY-MM-DD", deadline?: date or ISO timestamp }
+app.put('/api/groups/:id/occasion', lead, asyncRoute(async (req, res) => {
+  const { group } = req;
+  const { occasion, error } = occasions.buildOccasion(req.body);
+  if (error) return res.status(400).json({ error });
+  // Moving the deadline starts the reminders and cutoff over
+  if (group.occasion && group.occasion.deadline === occasion.deadline) {
+    occasion.remindersSent = group.occasion.remindersSent;
+    occasion.cutoffAt = group.occasion.cutoffAt;
+  }
+  group.occasion = occasion;
+  await store.put('groups', group.id, group);
+  res.json({ occasion: occasionView(group.occasion) });
+}));
+
+app.delete('/api/groups/:id/occasion', lead, asyncRoute(async (req, res) => {
+  const { group } = req;
+  group.occasion = null;
+  await store.put('groups', group.id, group);
+  res.json({ occasion: null });
+}));
+
+// The recipient's interest profile, used for recommendations: { interests: ["tea", ...] }
+app.put('/api/groups/:id/interests', lead, asyncRoute(async (req, res) => {
+  const { group } = req;
+  const { interests, error } = recommendations.normalizeInterests(req.body.interests);
+  if (error) return res.status(400).json({ error });
+  group.interests = interests;
+  await store.put('groups', group.id, group);
+  res.json({ interests });
+}));
+
+// ---------------------------------------------------------------------------
+// Contributions – split-the-cost ledger for the group gift.
+// The lead sets a target from the chosen product's price, members pledge an
+// even share, a fixed amount or a percentage, and checkout stays blocked until
+// the pledges cover the target (or the lead explicitly overrides).
+// ---------------------------------------------------------------------------
+app.get('/api/groups/:id/contributions', anyMember, asyncRoute(async (req, res) => {
+  const { group } = req;
+  res.json({ contributions: contributions.computeLedger(group) });
+}));
+
+// Set the target from a product price ({ price, quantity }) or a raw amount
+app.put('/api/groups/:id/contributions/target', lead, asyncRoute(async (req, res) => {
+  const { group } = req;
+  const { price, quantity, amount, currency } = req.body;
+  const unit = contributions.toCents(price !== undefined ? price : amount);
+  const qty = parseInt(quantity || 1, 10);
+  if (!unit || !(qty > 0)) return res.status(400).json({ error: 'A positive price or amount is required' });
+
+  group.contributions.targetAmount = unit * qty;
+  if (currency) group.contributions.currency = currency;
+  const funded = trackFunding(group);
+  await store.put('groups', group.id, group);
+  if (funded) notifyGroup(group, 'funded', funded);
+  res.json({ contributions: contributions.computeLedger(group) });
+}));
+
+// Members pledge for themselves; the lead may record pledges for anyone
+const canPledgeFor = (req, memberId) => req.role === 'lead' || req.member?.id === memberId;
+
+app.put('/api/groups/:id/pledges/:memberId', anyMember, asyncRoute(async (req, res) => {
+  const { group } = req;
+  if (!canPledgeFor(req, req.params.memberId)) return res.status(403).json({ error: 'You can only change your own pledge' });
+  const member = group.members.find(m => m.id === req.params.memberId);
+  if (!member) return res.status(404).json({ error: 'Member not found' });
+  if (member.status !== invites.INVITE_STATUS.ACCEPTED) {
+    return res.status(409).json({ error: 'Only members who accepted their invite can pledge' });
+  }
+  const invalid = contributions.validatePledge(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  group.contributions.pledges[req.params.memberId] = contributions.buildPledge(req.body);
+  const funded = trackFunding(group);
+  await store.put('groups', group.id, group);
+  if (funded) notifyGroup(group, 'funded', funded);
+  res.json({ contributions: contributions.computeLedger(group) });
+}));
+
+app.delete('/api/groups/:id/pledges/:memberId', anyMember, asyncRoute(async (req, res) => {
+  const { group } = req;
+  if (!canPledgeFor(req, req.params.memberId)) return res.status(403).json({ error: 'You can only change your own pledge' });
+  delete group.contributions.pledges[req.params.memberId];
+  const funded = trackFunding(group);
+  await store.put('groups', group.id, group);
+  if (funded) notifyGroup(group, 'funded', funded);
+  res.json({ contributions: contributions.computeLedger(group) });
+}));
+
+// Convenience: put every member on an even share of the target
+app.post('/api/groups/:id/pledges/split-even', lead, asyncRoute(async (req, res) => {
+  const { group } = req;
+  for (const member of contributions.activeMembers(group)) {
+    group.contributions.pledges[member.id] = contributions.buildPledge({ type: 'even' });
+  }
+  const funded = trackFunding(group);
+  await store.put('groups', group.id, group);
+  if (funded) notifyGroup(group, 'funded', funded);
+  res.json({ contributions: contributions.computeLedger(group) });
+}));
+
+// Lead override – allow checkout before the group is fully funded
+app.post('/api/groups/:id/contributions/override', lead, asyncRoute(async (req, res) => {
+  const { group } = req;
+  group.contributions.override = req.body.override === false ? null : { at: new Date().toISOString() };
+  await store.put('groups', group.id, group);
+  res.json({ contributions: contributions.computeLedger(group) });
+}));
+
+// ---------------------------------------------------------------------------
+// Wishlist – members save products from /api/products, rank them, and the
+// lead locks in the winner. Checkout always uses the locked selection.
+// ---------------------------------------------------------------------------
+const wishlistView = (group, memberId) => ({
+  items: wishlist.tally(group),
+  myRanking: group.votes[memberId] || [],
+  selection: group.selection
 });
 
+app.get('/api/groups/:id/wishlist', anyMember, asyncRoute(async (req, res) => {
+  res.json(wishlistView(req.group, req.member.id));
+}));
+
+// Add a product we served from /api/products – clients send only its id and,
+// optionally, the variant they picked (defaults to the first variant)
+app.post('/api/groups/:id/wishlist', anyMember, asyncRoute(async (req, res) => {
+  const { group } = req;
+  if (group.selection) return res.status(409).json({ error: 'The gift is already locked in' });
+  const product = catalog.findProduct(String(req.body.productId || ''));
+  if (!product) return res.status(404).json({ error: 'Product not found – search for it again' });
+
+  const variantId = req.body.variantId ? String(req.body.variantId) : product.variantId;
+  const invalid = catalog.variantError(product, variantId);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const { item, added } = wishlist.addItem(group, catalog.withVariant(product, variantId), req.member.id);
+  if (added) await store.put('groups', group.id, group);
+  res.status(added ? 201 : 200).json({ item, ...wishlistView(group, req.member.id) });
+}));
+
+app.delete('/api/groups/:id/wishlist/:itemId', anyMember, asyncRoute(async (req, res) => {
+  const { group } = req;
+  const item = wishlist.findItem(group, req.params.itemId);
+  if (!item) return res.status(404).json({ error: 'Wishlist item not found' });
+  if (req.role !== 'lead' && item.addedBy !== req.member.id) {
+    return res.status(403).json({ error: 'Only the lead or whoever added it can remove this item' });
+  }
+  if (wishlist.isSelected(group, item.id)) return res.status(409).json({ error: 'Unlock the gift before removing it' });
+
+  wishlist.removeItem(group, item.id);
+  await store.put('groups', group.id, group);
+  res.json(wishlistView(group, req.member.id));
+}));
+
+// Replace the caller's ranking: { ranking: [itemId, ...] } best first
+app.put('/api/groups/:id/votes', anyMember, asyncRoute(async (req, res) => {
+  const { group } = req;
+  if (group.selection) return res.status(409).json({ error: 'Voting is closed – the gift is locked in' });
+  const invalid = wishlist.setRanking(group, req.member.id, req.body.ranking);
+  if (invalid) return res.status(400).json({ error: invalid });
+  await store.put('groups', group.id, group);
+  res.json(wishlistView(group, req.member.id));
+}));
+
+// Lock in wishlist items (the top-ranked one when there are no picks) and fund
+// against their combined price. Also used by the scheduler at the cutoff.
+function lockGift(group, picks, memberId, now = new Date()) {
+  const { selected, error } = wishlist.lockSelection(group, { picks, memberId }, now);
+  if (error) return { error };
+  setTargetFromSelection(group, selected);
+  return { selected };
+}
+
+// The funding target is the selection's combined price (when every price is known)
+function setTargetFromSelection(group, selected) {
+  const prices = selected.map(({ item, quantity }) => {
+    const unit = contributions.toCents(item.product.price);
+    return unit === null ? null : unit * quantity;
+  });
+  if (prices.every(p => p !== null)) {
+    group.contributions.targetAmount = prices.reduce((sum, n) => sum + n, 0);
+    group.contributions.currency = selected[0].item.product.currency || group.contributions.currency;
+  }
+}
+
+// Lock in the gift – one or more wishlist items ({ items: [{ itemId, quantity }] },
+// defaulting to the top-ranked item) – and fund against their combined price
+app.post('/api/groups/:id/wishlist/lock', lead, asyncRoute(async (req, res) => {
+  const { group } = req;
+  const picks = Array.isArray(req.body.items)
+    ? req.body.items
+    : req.body.itemId ? [{ itemId: req.body.itemId, quantity: req.body.quantity }] : [];
+  const { error } = lockGift(group, picks, req.member.id);
+  if (error) return res.status(400).json({ error });
+  const funded = trackFunding(group);
+  await store.put('groups', group.id, group);
+  if (funded) notifyGroup(group, 'funded', funded);
+  res.json({ ...wishlistView(group, req.member.id), contributions: contributions.computeLedger(group) });
+}));
+
+app.post('/api/groups/:id/wishlist/unlock', lead, asyncRoute(async (req, res) => {
+  const { group } = req;
+  const purchased = (await store.list('groupOrders')).some(o => o.groupId === group.id && groupOrders.hasPurchase(o));
+  if (purchased) return res.status(409).json({ error: 'The gift has already been bought and can no longer be changed' });
+  group.selection = null;
+  await store.put('groups', group.id, group);
+  res.json(wishlistView(group, req.member.id));
+}));
+
+// ---------------------------------------------------------------------------
+// Recommendations (lib/recommendations.js) – several searches built from the
+// group's budget, the recipient's interests and the wishlist votes, merged,
+// deduplicated and ranked. Products already on the wishlist are left out.
+//   GET /api/groups/:id/recommendations?budget=&interests=a,b&limit=
+// ---------------------------------------------------------------------------
+const RECOMMENDATION_POOL_SIZE = 20;
+const DEFAULT_RECOMMENDATIONS = 12;
+
+// One result list per query. Catalog queries run in parallel (cached and rate
+// limited by lib/catalog.js); a failed query contributes nothing. Without
+// credentials, or when every query fails, the mock catalog answers instead.
+async function searchEach(queries, maxPrice) {
+  if (catalog.isConfigured()) {
+    const settled = await Promise.allSettled(queries.map(({ q, category }) =>
+      catalog.searchCatalog(q, { limit: RECOMMENDATION_POOL_SIZE, categories: category, maxPrice })));
+    if (settled.some(r => r.status === 'fulfilled' && Array.isArray(r.value))) {
+      const resultSets = settled.map(r => (r.status === 'fulfilled' && Array.isArray(r.value) ? r.value.map(catalog.mapCatalogProduct) : []));
+      resultSets.forEach(catalog.rememberProducts);
+      return { resultSets, source: 'shopify_catalog_api' };
+    }
+    logger.warn('Every Catalog query failed, falling back to mock', {
+      scope: 'Recommendations',
+      errors: settled.map(r => r.reason?.message).filter(Boolean)
+    });
+  }
+
+  const resultSets = queries.map(({ q, category }) => {
+    // "gift" is the Catalog default query; the mock catalog matches titles
+    const { params } = search.parseSearchParams({ q: q === 'gift' ? '' : q, category, pageSize: search.MAX_PAGE_SIZE });
+    return search.applySearch(catalog.MOCK_PRODUCTS, { ...params, maxPrice }, { matchQuery: true }).products;
+  });
+  return { resultSets, source: 'mock' };
+}
+
+app.get('/api/groups/:id/recommendations', anyMember, asyncRoute(async (req, res) => {
+  const { group } = req;
+  let interests = group.interests || [];
+  if (req.query.interests !== undefined) {
+    const normalized = recommendations.normalizeInterests(req.query.interests);
+    if (normalized.error) return res.status(400).json({ error: normalized.error });
+    interests = normalized.interests;
+  }
+  const { budget, source: budgetSource, error } = recommendations.resolveBudget(contributions.computeLedger(group), req.query.budget);
+  if (error) return res.status(400).json({ error });
+  const limit = Math.min(search.MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_RECOMMENDATIONS));
+
+  const categories = recommendations.votedCategories(wishlist.tally(group));
+  const queries = recommendations.buildQueries({ interests, categories });
+  const { resultSets, source } = await searchEach(queries, recommendations.searchCeiling(budget));
+  const ranked = recommendations.rankProducts(recommendations.mergeResults(resultSets), {
+    budget,
+    preferredTypes: categories,
+    exclude: group.wishlist.map(item => item.productId)
+  });
+
+  res.json({
+    budget,
+    budgetSource,
+    interests,
+    queries,
+    products: ranked.slice(0, limit),
+    source
+  });
+}));
+
 // ---------------------------------------------------------------------------
 // Create checkout via Shopify UCP/MCP
-// POST https://{shopDomain}/api/ucp/mcp  (JSON-RPC 2.0)
+// POST https://{shopDomain}/api/ucp/mcp  (JSON-RPC 2.0, UCP_ENDPOINT_TEMPLATE)
+// A group order gets one checkout session per merchant in the locked selection.
 // ---------------------------------------------------------------------------
-app.post('/api/create-checkout', async (req, res) => {
-  const { groupId, variantId, quantity, shopDomain } = req.body;
-  const group = groups[groupId];
+// Line items, buyer and shipping destination shared by create_checkout and update_checkout
+function checkoutFields({ lineItems, relayEmail, recipient }) {
+  return {
+    currency: 'USD',
+    line_items: lineItems.map(line => ({
+      quantity: line.quantity || 1,
+      item: { id: line.variantId }
+    })),
+    buyer: {
+      email: relayEmail,   // Relay forwards order emails to the lead → surprise preserved
+      phone_number: recipient.phone || ''
+    },
+    fulfillment: {
+      methods: [
+        {
+          type: 'shipping',
+          destinations: [address.toUcpAddress(recipient)]
+        }
+      ]
+    }
+  };
+}
+
+const errorMessage = err => (typeof err === 'object' ? (err.message || JSON.stringify(err)) : String(err));
+
+// Typed UCP errors → HTTP status for our own API
+function ucpErrorStatus(err) {
+  if (err instanceof UcpValidationError) return 422;
+  if (err instanceof UcpAccessDisabledError) return 403;
+  if (err instanceof UcpEscalationError) return 409;
+  return 502;
+}
+
+// A group order that is still running or already bought something. While
+// there is one, a new checkout (or a changed gift) could buy twice – the lead
+// cancels it, or retries its failed merchants, instead.
+async function blockingGroupOrder(group, { except = null } = {}) {
+  return (await store.list('groupOrders'))
+    .find(o => o.groupId === group.id && o.id !== except && (groupOrders.isActive(o) || groupOrders.hasPurchase(o))) || null;
+}
+
+// Why the picked items cannot be bought right now, or null. Each variant is
+// re-checked against the current product: it must still belong to that
+// product and be sold by the shop we are about to call.
+async function selectionProblem(selected) {
+  const unbuyable = selected.find(({ item }) => !item.product.variantId || !item.product.shopDomain);
+  if (unbuyable) return `"${unbuyable.item.product.title}" cannot be checked out via UCP (no variant or shop)`;
+  for (const { item } of selected) {
+    const current = (await catalog.getProduct(item.productId)) || item.product;
+    const invalid = catalog.variantError(current, item.product.variantId, item.product.shopDomain);
+    if (invalid) return invalid;
+  }
+  return null;
+}
+
+// One create_checkout per merchant session, in parallel; a failing shop does
+// not sink the others – its session is marked failed and can be retried
+function openSessions(sessions, { relayEmail, recipient }) {
+  return Promise.all(sessions.map(async session => {
+    try {
+      const checkout = await ucp.createCheckout(
+        session.shopDomain,
+        checkoutFields({ lineItems: session.lineItems, relayEmail, recipient })
+      );
+      session.checkoutId = checkout?.id || null;
+      groupOrders.recordStatus(session, checkout?.status || 'incomplete', {
+        source: 'create_checkout',
+        messages: checkout?.messages || [],
+        continueUrl: continueUrlOf(checkout)
+      });
+      return { shopDomain: session.shopDomain, mcpResponse: checkout };
+    } catch (err) {
+      logger.error('create_checkout failed', { scope: 'UCP', shopDomain: session.shopDomain, error: err });
+      groupOrders.recordStatus(session, groupOrders.SESSION_FAILED, { source: 'create_checkout', error: errorMessage(err) });
+      return { shopDomain: session.shopDomain, error: session.error, code: err.code || null, accessDisabled: !!err.accessDisabled };
+    }
+  }));
+}
+
+app.post('/api/create-checkout', lead, asyncRoute(async (req, res) => {
+  const { group } = req;
+  // What we buy comes from the locked wishlist selection, never the client
+  const selected = wishlist.selectedItems(group);
+  if (!selected.length) return res.status(409).json({ error: 'Lock in a gift from the wishlist before checkout' });
+
+  const existing = await blockingGroupOrder(group);
+  if (existing) {
+    const retryable = groupOrders.summarize(existing).retryable;
+    return res.status(409).json({
+      error: groupOrders.isActive(existing)
+        ? 'A checkout for this gift is already in progress – resume or cancel it'
+        : retryable ? 'Part of this gift has already been bought – retry the shops that failed' : 'This gift has already been bought',
+      groupOrder: groupOrders.summarize(existing)
+    });
+  }
 
-  if (!group) return res.status(404).json({ error: 'Group not found' });
   if (!group.recipient) return res.status(400).json({ error: 'Recipient not set' });
-  if (!variantId) return res.status(400).json({ error: 'Variant ID required' });
-  if (!shopDomain) return res.status(400).json({ error: 'Shop domain required' });
+  if (!contributions.canCheckout(group)) {
+    return res.status(409).json({
+      error: 'Group gift is not fully funded yet',
+      contributions: contributions.computeLedger(group)
+    });
+  }
+  const problem = await selectionProblem(selected);
+  if (problem) return res.status(400).json({ error: problem });
+
+  // The merchant only ever sees the group's relay address, never a real inbox
+  const relayEmail = group.relayEmail || relayAddressFor(group.id);
+  if (!relayEmail) return res.status(500).json({ error: 'RELAY_EMAIL is not configured' });
+  if (!group.relayEmail) {
+    group.relayEmail = relayEmail;
+    await store.put('groups', group.id, group);
+  }
 
-  // Get the Catalog API bearer token
-  let token;
+  // Make sure we can authenticate before calling any shop
   try {
-    token = await getCatalogToken();
+    await catalog.getCatalogToken();
   } catch (err) {
     return res.status(500).json({ error: 'Failed to get auth token: ' + err.message });
   }
 
-  // Strip any query params from variantId (e.g. "?shop=12345")
-  const cleanVariantId = variantId.split('?')[0];
-
-  // Build the JSON-RPC request per UCP/MCP spec
-  const jsonRpcBody = {
-    jsonrpc: '2.0',
-    method: 'tools/call',
-    id: 1,
-    params: {
-      name: 'create_checkout',
-      arguments: {
-        meta: {
-          'ucp-agent': {
-            profile: process.env.AGENT_PROFILE_URL || `http://localhost:${PORT}/profiles/gift-agent.json`
-          }
-        },
-        checkout: {
-          idempotency_key: uuidv4(),
-          currency: 'USD',
-          line_items: [
-            {
-              quantity: quantity || 1,
-              item: { id: cleanVariantId }
-            }
-          ],
-          buyer: {
-            email: group.lead.email,   // Lead gets order emails → surprise preserved
-            phone_number: group.recipient.phone || ''
-          },
-          fulfillment: {
-            methods: [
-              {
-                type: 'shipping',
-                destinations: [
-                  {
-                    first_name: group.recipient.firstName,
-                    last_name: group.recipient.lastName,
-                    phone_number: group.recipient.phone || '',
-                    street_address: group.recipient.address1,
-                    address_locality: group.recipient.city,
-                    address_region: group.recipient.provinceCode || group.recipient.state,
-                    postal_code: group.recipient.postalCode,
-                    address_country: group.recipient.country === 'United States' ? 'US' :
-                                     group.recipient.country === 'Canada' ? 'CA' : 'US'
-                  }
-                ]
-              }
-            ]
-          }
-        }
+  // The group order reports a partial failure when some shops fail
+  const sessions = groupOrders.planSessions(selected);
+  const attempts = await openSessions(sessions, { relayEmail, recipient: group.recipient });
+
+  const order = groupOrders.createGroupOrder(group, sessions);
+  await store.put('groupOrders', order.id, order);
+
+  const first = sessions.find(s => s.continueUrl) || sessions[0];
+  const failed = order.status === 'failed';
+  res.status(failed ? 502 : 200).json({
+    success: !failed,
+    error: failed ? sessions.map(s => `${s.shopDomain}: ${s.error}`).join('; ') : undefined,
+    groupOrder: groupOrders.summarize(order),
+    // The first merchant's session, for single-shop clients
+    checkoutUrl: first.continueUrl,
+    checkoutId: first.checkoutId,
+    shopDomain: first.shopDomain,
+    status: first.status,
+    messages: first.messages,
+    attempts,
+    groupInfo: {
+      leadEmail: group.lead.email,
+      relayEmail,
+      recipientName: `${group.recipient.firstName} ${group.recipient.lastName}`,
+      recipientAddress: address.formatAddress(group.recipient)
+    }
+  });
+}));
+
+app.get('/api/groups/:id/group-orders', lead, asyncRoute(async (req, res) => {
+  const orders = (await store.list('groupOrders'))
+    .filter(order => order.groupId === req.group.id)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  res.json({ groupOrders: orders.map(groupOrders.summarize) });
+}));
+
+// The newest group order still waiting on a merchant – lets the client resume after a reload
+app.get('/api/groups/:id/group-orders/active', lead, asyncRoute(async (req, res) => {
+  const order = (await store.list('groupOrders'))
+    .filter(o => o.groupId === req.group.id && groupOrders.isActive(o))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0];
+  res.json({ groupOrder: order ? groupOrders.summarize(order) : null });
+}));
+
+app.get('/api/groups/:id/group-orders/:orderId', lead, asyncRoute(async (req, res) => {
+  const order = await store.get('groupOrders', req.params.orderId);
+  if (!order || order.groupId !== req.group.id) return res.status(404).json({ error: 'Group order not found' });
+  res.json({ groupOrder: groupOrders.summarize(order) });
+}));
+
+// Write sessions changed during UCP calls back onto the latest copy of their
+// order (one session per shop), so updates that arrived meanwhile – webhooks,
+// ECP events – survive. A session settled in the meantime is left alone, and
+// the stored event log is kept.
+async function saveSessions(orderId, changed) {
+  const order = await store.get('groupOrders', orderId);
+  for (const { events, ...fields } of changed) {
+    const current = order.sessions.find(s => s.shopDomain === fields.shopDomain);
+    if (current && !groupOrders.isSettled(current)) Object.assign(current, fields);
+  }
+  groupOrders.refresh(order);
+  await store.put('groupOrders', order.id, order);
+  await trackPurchases(order);
+  return order;
+}
+
+// Abandon a group order: every session still open is canceled at its merchant
+// (where the shop supports cancel_checkout) and here, which frees the gift for
+// a new checkout. A session the merchant reports as bought stays bought.
+app.post('/api/groups/:id/group-orders/:orderId/cancel', lead, asyncRoute(async (req, res) => {
+  const order = await store.get('groupOrders', req.params.orderId);
+  if (!order || order.groupId !== req.group.id) return res.status(404).json({ error: 'Group order not found' });
+  const open = order.sessions.filter(s => !groupOrders.isSettled(s));
+  if (!open.length) return res.status(409).json({ error: 'This group order has nothing left to cancel', groupOrder: groupOrders.summarize(order) });
+
+  await Promise.all(open.map(async session => {
+    if (session.checkoutId && await ucp.supportsTool(session.shopDomain, 'cancel_checkout') !== false) {
+      try {
+        const checkout = await ucp.cancelCheckout(session.shopDomain, session.checkoutId);
+        groupOrders.recordStatus(session, checkout?.status, { source: 'cancel_checkout', messages: checkout?.messages });
+      } catch (err) {
+        logger.warn('cancel_checkout failed', { scope: 'UCP', shopDomain: session.shopDomain, error: err });
+        // It may have been bought in the meantime – ask before calling it canceled
+        try {
+          const checkout = await ucp.getCheckout(session.shopDomain, session.checkoutId);
+          groupOrders.recordStatus(session, checkout?.status, { source: 'get_checkout', orderId: checkout?.order?.id });
+        } catch (_) { /* canceled here regardless */ }
       }
     }
-  };
+    if (!groupOrders.isSettled(session)) groupOrders.recordStatus(session, groupOrders.SESSION_CANCELED, { source: 'canceled_by_lead' });
+  }));
+
+  const saved = await saveSessions(order.id, open);
+  res.json({ groupOrder: groupOrders.summarize(saved) });
+}));
 
-  const ucpUrl = `https://${shopDomain}/api/ucp/mcp`;
-  console.log('[UCP] POST', ucpUrl);
-  console.log('[UCP] Body:', JSON.stringify(jsonRpcBody, null, 2));
+// Retry the merchants of a group order whose session failed or was canceled
+// before anything was bought: each gets a new create_checkout for the same
+// line items. Those items must still be in the locked selection, the group
+// still funded, and no other order for the gift running or bought.
+app.post('/api/groups/:id/group-orders/:orderId/retry', lead, asyncRoute(async (req, res) => {
+  const { group } = req;
+  const order = await store.get('groupOrders', req.params.orderId);
+  if (!order || order.groupId !== group.id) return res.status(404).json({ error: 'Group order not found' });
+  const retry = order.sessions.filter(groupOrders.isRetryable);
+  if (!retry.length) return res.status(409).json({ error: 'No shop of this group order can be retried', groupOrder: groupOrders.summarize(order) });
 
+  const other = await blockingGroupOrder(group, { except: order.id });
+  if (other) return res.status(409).json({ error: 'Another checkout for this gift is in progress or bought', groupOrder: groupOrders.summarize(other) });
+  if (!group.recipient) return res.status(400).json({ error: 'Recipient not set' });
+  if (!contributions.canCheckout(group)) {
+    return res.status(409).json({ error: 'Group gift is not fully funded yet', contributions: contributions.computeLedger(group) });
+  }
+
+  const selected = wishlist.selectedItems(group);
+  const picks = retry.flatMap(session => session.lineItems).map(line => selected.find(({ item, quantity }) =>
+    item.id === line.itemId && quantity === line.quantity && item.product.variantId.split('?')[0] === line.variantId));
+  if (picks.some(pick => !pick)) {
+    return res.status(409).json({ error: 'The locked gift changed since this order started – cancel it and check out again' });
+  }
+  const problem = await selectionProblem(picks);
+  if (problem) return res.status(400).json({ error: problem });
+
+  const relayEmail = group.relayEmail || relayAddressFor(group.id);
+  if (!relayEmail) return res.status(500).json({ error: 'RELAY_EMAIL is not configured' });
   try {
-    const ucpRes = await fetch(ucpUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
-      },
-      body: JSON.stringify(jsonRpcBody)
-    });
+    await catalog.getCatalogToken();
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to get auth token: ' + err.message });
+  }
 
-    const data = await ucpRes.json();
-    console.log('[UCP] Response:', JSON.stringify(data, null, 2));
-
-    // Parse the result – MCP returns { result: { content: [{ text: "..." }] } }
-    let checkout = data;
-    if (data.result?.content?.[0]?.text) {
-      const textContent = data.result.content[0].text;
-      try { checkout = JSON.parse(textContent); } catch (_) { checkout = textContent; }
-    } else if (data.error) {
-      // UCP/MCP returned a JSON-RPC error – surface it with detail
-      const errDataStr = data.error.data
-        ? (typeof data.error.data === 'string' ? data.error.data : JSON.stringify(data.error.data))
-        : '';
-      const errDetail = errDataStr ? ` – ${errDataStr}` : '';
-      const isAccessDisabled = (typeof data.error.data === 'string' && data.error.data === 'Access disabled.')
-        || (typeof data.error.data === 'object' && data.error.data?.code === 'ACCESS_DISABLED');
-      throw {
-        message: data.error.message + errDetail,
-        code: data.error.code,
-        ucpError: data.error,
-        accessDisabled: isAccessDisabled
-      };
-    }
+  // Claim the sessions first so a second retry finds nothing to retry
+  for (const session of retry) groupOrders.resetForRetry(session);
+  groupOrders.refresh(order);
+  await store.put('groupOrders', order.id, order);
 
-    const continueUrl = checkout?.continue_url || checkout?.checkoutUrl || checkout?.web_url || null;
+  const attempts = await openSessions(retry, { relayEmail, recipient: group.recipient });
+  const saved = await saveSessions(order.id, retry);
+  const failed = retry.every(session => session.status === groupOrders.SESSION_FAILED);
+  res.status(failed ? 502 : 200).json({
+    success: !failed,
+    error: failed ? retry.map(s => `${s.shopDomain}: ${s.error}`).join('; ') : undefined,
+    groupOrder: groupOrders.summarize(saved),
+    attempts
+  });
+}));
 
-    res.json({
-      success: true,
-      checkoutUrl: continueUrl,
-      checkoutId: checkout?.id || null,
-      status: checkout?.status || null,
-      messages: checkout?.messages || [],
-      mcpResponse: checkout,
-      requestPayload: jsonRpcBody.params.arguments,
-      ucpEndpoint: ucpUrl,
-      groupInfo: {
-        leadEmail: group.lead.email,
-        recipientName: `${group.recipient.firstName} ${group.recipient.lastName}`,
-        recipientAddress: `${group.recipient.address1}, ${group.recipient.city}, ${group.recipient.state} ${group.recipient.postalCode}`
-      }
-    });
+// ---------------------------------------------------------------------------
+// Checkout sessions – poll (get_checkout) and change (update_checkout) a
+// merchant session of one of the group's orders. Every status UCP reports is
+// appended to the session's history.
+// ---------------------------------------------------------------------------
+async function findGroupSession(group, checkoutId) {
+  const order = (await store.list('groupOrders'))
+    .find(o => o.groupId === group.id && groupOrders.findSession(o, checkoutId));
+  return order ? { order, session: groupOrders.findSession(order, checkoutId) } : null;
+}
+
+async function saveSession(order, session, checkout, source) {
+  groupOrders.recordStatus(session, checkout?.status, {
+    source,
+    messages: checkout?.messages,
+    continueUrl: continueUrlOf(checkout),
+    orderId: checkout?.order?.id
+  });
+  const saved = await saveSessions(order.id, [session]);
+  return { session: groupOrders.findSession(saved, session.checkoutId) || session, groupOrder: groupOrders.summarize(saved), checkout };
+}
+
+app.get('/api/groups/:id/checkouts/:checkoutId', lead, asyncRoute(async (req, res) => {
+  const found = await findGroupSession(req.group, req.params.checkoutId);
+  if (!found) return res.status(404).json({ error: 'Checkout session not found' });
+  const { order, session } = found;
+
+  try {
+    const checkout = await ucp.getCheckout(session.shopDomain, session.checkoutId);
+    res.json(await saveSession(order, session, checkout, 'get_checkout'));
   } catch (err) {
-    console.error('[UCP] Error:', err);
+    logger.error('get_checkout failed', { scope: 'UCP', shopDomain: session.shopDomain, error: err });
+    res.status(ucpErrorStatus(err)).json({ error: errorMessage(err), code: err.code, session, groupOrder: groupOrders.summarize(order) });
+  }
+}));
 
-    res.status(500).json({
-      success: false,
-      error: typeof err === 'object' ? (err.message || JSON.stringify(err)) : String(err),
-      requestPayload: jsonRpcBody.params.arguments,
-      ucpEndpoint: ucpUrl,
-      groupInfo: {
-        leadEmail: group.lead.email,
-        recipientName: `${group.recipient.firstName} ${group.recipient.lastName}`,
-        recipientAddress: `${group.recipient.address1}, ${group.recipient.city}, ${group.recipient.state} ${group.recipient.postalCode}`
-      }
-    });
+// New checkout quantities → the locked selection and the funding target.
+// Returns the 409 body when the selection no longer holds these items
+// (nothing is changed then) or the pledges do not cover the new target.
+function applyCheckoutQuantities(group, lineItems) {
+  const picks = group.selection ? group.selection.items : [];
+  if (lineItems.some(line => !picks.some(pick => pick.itemId === line.itemId))) {
+    return { error: 'The locked gift changed since this checkout started' };
   }
-});
+  for (const line of lineItems) picks.find(pick => pick.itemId === line.itemId).quantity = line.quantity;
+  setTargetFromSelection(group, wishlist.selectedItems(group));
+  if (!contributions.canCheckout(group)) {
+    return { error: 'The new quantities raise the target above what the group has pledged', contributions: contributions.computeLedger(group) };
+  }
+  return null;
+}
+
+// Body: { quantities: { [itemId]: n } } – optional; the buyer and shipping
+// destination are always re-sent from the group's current recipient. New
+// quantities also update the locked selection and the funding target (409
+// when the group has not pledged enough for it).
+app.put('/api/groups/:id/checkouts/:checkoutId', lead, asyncRoute(async (req, res) => {
+  const { group } = req;
+  const found = await findGroupSession(group, req.params.checkoutId);
+  if (!found) return res.status(404).json({ error: 'Checkout session not found' });
+  const { order, session } = found;
+  if (groupOrders.isSettled(session)) return res.status(409).json({ error: `This checkout is already ${session.status}` });
+  if (!group.recipient) return res.status(400).json({ error: 'Recipient not set' });
+
+  const quantities = req.body.quantities || {};
+  for (const [itemId, quantity] of Object.entries(quantities)) {
+    const line = session.lineItems.find(l => l.itemId === itemId);
+    if (!line) return res.status(400).json({ error: `Item ${itemId} is not part of this checkout` });
+    if (!(parseInt(quantity, 10) > 0)) return res.status(400).json({ error: 'quantity must be a positive integer' });
+  }
+  const lineItems = session.lineItems.map(line => ({ ...line, quantity: parseInt(quantities[line.itemId] || line.quantity, 10) }));
+
+  // New quantities change what the group buys: the locked selection and the
+  // target follow them, and the funding gate applies to the new target. This
+  // is checked on the copy loaded now; nothing is saved unless the merchant
+  // accepts the update.
+  const requantified = lineItems.some((line, i) => line.quantity !== session.lineItems[i].quantity);
+  if (requantified) {
+    const problem = applyCheckoutQuantities(group, lineItems);
+    if (problem) return res.status(409).json(problem);
+  }
+
+  // Shops that do not advertise update_checkout get a clear answer instead of a JSON-RPC error
+  if (await ucp.supportsTool(session.shopDomain, 'update_checkout') === false) {
+    return res.status(501).json({ error: `${session.shopDomain} does not support updating checkouts` });
+  }
+
+  try {
+    const checkout = await ucp.updateCheckout(
+      session.shopDomain,
+      session.checkoutId,
+      checkoutFields({ lineItems, relayEmail: group.relayEmail || relayAddressFor(group.id), recipient: group.recipient })
+    );
+    session.lineItems = lineItems;
+    // Pledges, votes or the recipient may have changed during the call: apply
+    // the quantities to the group as it is now. The merchant has accepted
+    // them, so they are kept even if the pledges no longer cover the target –
+    // complete-checkout's funding gate still holds.
+    let funded = null;
+    if (requantified) {
+      const current = await store.get('groups', group.id);
+      applyCheckoutQuantities(current, lineItems);
+      funded = trackFunding(current);
+      await store.put('groups', current.id, current);
+      if (funded) notifyGroup(current, 'funded', funded);
+    }
+    res.json(await saveSession(order, session, checkout, 'update_checkout'));
+  } catch (err) {
+    logger.error('update_checkout failed', { scope: 'UCP', shopDomain: session.shopDomain, error: err });
+    res.status(ucpErrorStatus(err)).json({ error: errorMessage(err), code: err.code, session, groupOrder: groupOrders.summarize(order) });
+  }
+}));
 
 // ---------------------------------------------------------------------------
-// Tokenize credit card via Shopify Card Server
-// POST https://checkout.pci.shopifyinc.com/sessions
+// ECP lifecycle events reported by the host page (EmbeddedCheckout)
+// The popup talks to the browser only, so the page forwards each ec.* message
+// here and the server keeps the session's event log. ec.complete is confirmed
+// with get_checkout before the session counts as completed; if the merchant
+// cannot be asked right now it stays complete_in_progress until a refresh or
+// an order webhook settles it.
 // ---------------------------------------------------------------------------
-app.post('/api/tokenize-card', async (req, res) => {
-  const { cardNumber, name, month, year, cvv, shopDomain } = req.body;
+const ECP_EVENT_DETAIL = {
+  'ec.ready': params => ({ delegate: params?.delegate || [] }),
+  'ec.start': () => null,
+  'ec.fulfillment.address_change_request': () => null,
+  'ec.fulfillment.change': () => null,
+  'ec.payment.change': () => null,
+  'ec.line_items.change': () => null,
+  'ec.buyer.change': () => null,
+  'ec.messages.change': params => ({
+    messages: (params?.checkout?.messages || []).map(m => ({ type: m.type || m.severity || null, code: m.code || null }))
+  }),
+  'ec.complete': params => ({ orderId: params?.checkout?.order?.id || null })
+};
+
+app.post('/api/groups/:id/checkouts/:checkoutId/events', lead, asyncRoute(async (req, res) => {
+  const { method, params } = req.body;
+  // Own keys only: "constructor", "toString" etc. are not events
+  const describe = Object.hasOwn(ECP_EVENT_DETAIL, method) ? ECP_EVENT_DETAIL[method] : null;
+  if (!describe) return res.status(400).json({ error: `Unsupported ECP event ${method}` });
 
-  if (!cardNumber || !name || !month || !year || !cvv) {
-    return res.status(400).json({ error: 'All card fields are required' });
+  const found = await findGroupSession(req.group, req.params.checkoutId);
+  if (!found) return res.status(404).json({ error: 'Checkout session not found' });
+  const { order, session } = found;
+
+  const detail = describe(params);
+  groupOrders.recordEvent(session, method, { source: 'ecp', detail });
+  groupOrders.refresh(order);
+  await store.put('groupOrders', order.id, order);
+
+  if (method === 'ec.complete' && !groupOrders.isSettled(session)) {
+    try {
+      const checkout = await ucp.getCheckout(session.shopDomain, session.checkoutId);
+      return res.json(await saveSession(order, session, checkout, 'ecp'));
+    } catch (err) {
+      logger.warn('Could not confirm completion', { scope: 'ECP', checkoutId: session.checkoutId, error: errorMessage(err) });
+      groupOrders.recordStatus(session, 'complete_in_progress', { source: 'ecp', orderId: detail.orderId });
+      const saved = await saveSessions(order.id, [session]);
+      return res.json({ session, groupOrder: groupOrders.summarize(saved) });
+    }
   }
 
+  res.json({ session, groupOrder: groupOrders.summarize(order) });
+}));
+
+// ---------------------------------------------------------------------------
+// Order webhooks (see lib/webhooks.js for the signature and payload)
+// Deliveries are idempotent by payload id (kept for DELIVERY_RETENTION_MS);
+// unknown checkouts are acknowledged so the sender does not keep retrying them.
+// ---------------------------------------------------------------------------
+app.post('/api/webhooks/orders', asyncRoute(async (req, res) => {
+  if (!orderWebhooks) return res.status(503).json({ error: 'Order webhooks are not configured' });
   try {
-    const cardServerUrl = 'https://checkout.pci.shopifyinc.com/sessions';
-    console.log('[CardServer] Tokenizing card for', shopDomain);
-
-    const tokenRes = await fetch(cardServerUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        credit_card: {
-          number: cardNumber.replace(/\s/g, ''),
-          name,
-          month: parseInt(month),
-          year: parseInt(year),
-          verification_value: cvv,
-          start_month: null,
-          start_year: null,
-          issue_number: ''
-        },
-        payment_session_scope: `https://${shopDomain}`
-      })
-    });
+    orderWebhooks.verify(req.rawBody, req.get(webhooks.SIGNATURE_HEADER));
+  } catch (err) {
+    return res.status(401).json({ error: err.message, code: err.code });
+  }
+
+  const event = webhooks.parseOrderEvent(req.body);
+  if (!event) return res.status(400).json({ error: 'Expected { id, type, shop_domain, order: { id, checkout_id } }' });
+  if (event.deliveryId && await store.get('webhookDeliveries', event.deliveryId)) {
+    return res.json({ received: true, duplicate: true });
+  }
 
-    const data = await tokenRes.json();
-    console.log('[CardServer] Response:', JSON.stringify(data, null, 2));
+  const orders = await store.list('groupOrders');
+  let order = null;
+  let session = null;
+  for (const candidate of orders) {
+    session = candidate.sessions.find(s => String(s.shopDomain).toLowerCase() === event.shopDomain &&
+      ((event.checkoutId && s.checkoutId === event.checkoutId) || (event.orderId && s.orderId === event.orderId))) || null;
+    if (session) {
+      order = candidate;
+      break;
+    }
+  }
 
-    if (data.id) {
-      res.json({ success: true, sessionToken: data.id });
-    } else {
-      res.status(400).json({ success: false, error: data.error || 'Card tokenization failed', raw: data });
+  if (session) {
+    groupOrders.recordEvent(session, event.type, {
+      source: 'webhook',
+      detail: { orderId: event.orderId, orderStatus: event.orderStatus, fulfillment: event.fulfillment?.status || null }
+    });
+    // Canceled is final: a late or out-of-order order.updated must not revive it
+    const revives = session.status === groupOrders.SESSION_CANCELED && event.sessionStatus !== groupOrders.SESSION_CANCELED;
+    if (revives) logger.warn('Ignoring status for a canceled checkout', { scope: 'Webhook', type: event.type, checkoutId: session.checkoutId });
+    groupOrders.recordStatus(session, revives ? null : event.sessionStatus, { source: 'webhook', orderId: event.orderId });
+    groupOrders.refresh(order);
+    await store.put('groupOrders', order.id, order);
+    await trackPurchases(order);
+    if (event.fulfillment) {
+      await trackFulfillment(order.groupId, { ...event.fulfillment, orderId: session.orderId, checkoutId: session.checkoutId });
     }
-  } catch (err) {
-    console.error('[CardServer] Error:', err);
-    res.status(500).json({ success: false, error: err.message });
+  } else {
+    logger.warn('Event for unknown checkout', { scope: 'Webhook', type: event.type, shopDomain: event.shopDomain, checkoutId: event.checkoutId, orderId: event.orderId });
   }
-});
+
+  if (event.deliveryId) {
+    await store.put('webhookDeliveries', event.deliveryId, { receivedAt: new Date().toISOString(), type: event.type });
+    await store.prune('webhookDeliveries', delivery => Date.parse(delivery.receivedAt) < Date.now() - webhooks.DELIVERY_RETENTION_MS);
+  }
+  res.json({ received: true, matched: Boolean(session) });
+}));
 
 // ---------------------------------------------------------------------------
 // Complete checkout via Shopify UCP/MCP
 // POST https://{shopDomain}/api/ucp/mcp  (JSON-RPC 2.0)
-// Uses the dev.shopify.card payment handler with a tokenized card
+// Uses the dev.shopify.card payment handler with a tokenized card. The browser
+// tokenizes with the card server (cardServerUrl from /api/config) and sends us
+// only the session token – raw card fields are refused, never forwarded.
+// Lead only – the body must include the groupId and the checkoutId of one of
+// the group's merchant sessions; the shop is taken from that session.
 // ---------------------------------------------------------------------------
-app.post('/api/complete-checkout', async (req, res) => {
-  const { checkoutId, sessionToken, billingAddress, shopDomain } = req.body;
+const RAW_CARD_FIELDS = ['cardNumber', 'number', 'cvv', 'verification_value', 'credit_card', 'card'];
 
-  if (!checkoutId || !sessionToken || !shopDomain) {
-    return res.status(400).json({ error: 'checkoutId, sessionToken, and shopDomain are required' });
+app.post('/api/complete-checkout', lead, asyncRoute(async (req, res) => {
+  const { checkoutId, sessionToken, billingAddress } = req.body;
+
+  if (RAW_CARD_FIELDS.some(field => req.body[field] !== undefined)) {
+    return res.status(400).json({ error: 'Send a card server session token, not card details' });
   }
 
-  let token;
-  try {
-    token = await getCatalogToken();
-  } catch (err) {
-    return res.status(500).json({ error: 'Failed to get auth token: ' + err.message });
+  if (!checkoutId || !sessionToken) {
+    return res.status(400).json({ error: 'checkoutId and sessionToken are required' });
+  }
+
+  // Only a merchant session of this group's orders can be completed, on the
+  // shop it was created with – never a checkout or shop the client names
+  const found = await findGroupSession(req.group, checkoutId);
+  if (!found) return res.status(404).json({ error: 'Checkout session not found' });
+  const { shopDomain } = found.session;
+  if (groupOrders.isSettled(found.session)) {
+    return res.status(409).json({ error: `This checkout is already ${found.session.status}` });
+  }
+  if (!contributions.canCheckout(req.group)) {
+    return res.status(409).json({
+      error: 'Group gift is not fully funded yet',
+      contributions: contributions.computeLedger(req.group)
+    });
+  }
+
+  // Billing is optional, but when given it must be a valid address
+  let billing = null;
+  if (billingAddress) {
+    const { address: normalized, error, fields } = address.normalizeAddress(billingAddress);
+    if (error) return res.status(400).json({ error: `Billing address: ${error}`, fields });
+    billing = normalized;
   }
 
-  const billing = billingAddress || {};
-  const jsonRpcBody = {
-    jsonrpc: '2.0',
-    method: 'tools/call',
-    id: 2,
-    params: {
-      name: 'complete_checkout',
-      arguments: {
-        meta: {
-          'idempotency-key': uuidv4(),
-          'ucp-agent': {
-            profile: process.env.AGENT_PROFILE_URL || `http://localhost:${PORT}/profiles/gift-agent.json`
-          }
+  const payment = {
+    instruments: [
+      {
+        id: 'instrument_1',
+        handler_id: 'shopify.card',
+        type: 'card',
+        selected: true,
+        credential: {
+          type: 'shopify_token',
+          token: sessionToken
         },
-        id: checkoutId,
-        payment: {
-          instruments: [
-            {
-              id: 'instrument_1',
-              handler_id: 'shopify.card',
-              type: 'card',
-              selected: true,
-              credential: {
-                type: 'shopify_token',
-                token: sessionToken
-              },
-              billing_address: {
-                first_name: billing.firstName || '',
-                last_name: billing.lastName || '',
-                phone_number: billing.phone || '',
-                street_address: billing.address1 || '',
-                address_locality: billing.city || '',
-                address_region: billing.state || '',
-                postal_code: billing.postalCode || '',
-                address_country: billing.country || 'US'
-              }
-            }
-          ]
-        }
+        ...(billing ? { billing_address: address.toUcpAddress(billing) } : {})
       }
-    }
+    ]
   };
 
-  const ucpUrl = `https://${shopDomain}/api/ucp/mcp`;
-  console.log('[UCP] Complete checkout POST', ucpUrl);
-  console.log('[UCP] Body:', JSON.stringify(jsonRpcBody, null, 2));
-
   try {
-    const ucpRes = await fetch(ucpUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
-      },
-      body: JSON.stringify(jsonRpcBody)
-    });
-
-    const data = await ucpRes.json();
-    console.log('[UCP] Complete response:', JSON.stringify(data, null, 2));
-
-    let result = data;
-    if (data.result?.content?.[0]?.text) {
-      try { result = JSON.parse(data.result.content[0].text); } catch (_) { result = data.result.content[0].text; }
-    } else if (data.error) {
-      const errDataStr = data.error.data
-        ? (typeof data.error.data === 'string' ? data.error.data : JSON.stringify(data.error.data))
-        : '';
-      throw { message: data.error.message + (errDataStr ? ` – ${errDataStr}` : '') };
-    }
+    const result = await ucp.completeCheckout(shopDomain, checkoutId, payment);
+    const { groupOrder } = await saveSession(found.order, found.session, result, 'complete_checkout');
 
     res.json({
       success: true,
       status: result?.status || null,
       orderId: result?.order?.id || null,
       messages: result?.messages || [],
+      groupOrder,
       mcpResponse: result
     });
   } catch (err) {
-    console.error('[UCP] Complete error:', err);
-    res.status(500).json({
+    logger.error('complete_checkout failed', { scope: 'UCP', shopDomain, error: err });
+    // Escalations are a normal outcome: hand the buyer the merchant's continue URL
+    const groupOrder = err instanceof UcpEscalationError
+      ? (await saveSession(found.order, found.session, err.checkout, 'complete_checkout')).groupOrder
+      : null;
+    res.status(ucpErrorStatus(err)).json({
       success: false,
-      error: typeof err === 'object' ? (err.message || JSON.stringify(err)) : String(err)
+      error: errorMessage(err),
+      code: err.code || null,
+      continueUrl: err.continueUrl || null,
+      groupOrder
     });
   }
-});
+}));
 
 // ---------------------------------------------------------------------------
-// Build Embedded Checkout URL (ECP)
-// Takes a continue_url from a requires_escalation response, appends
-// ec_version, ec_auth (Catalog API JWT), and ec_delegate params.
+// Embedded Checkout (ECP)
+// POST returns a launch link for one checkout session of the group (lead
+// only). continue_url – the session's recorded one unless the client passes
+// a newer one, e.g. from an escalation – must be a checkout on that session's
+// shop. GET on the launch link burns it and redirects to the continue_url with
+// ec_version, ec_auth and ec_delegate appended. ec_auth is a token exchanged
+// for that one checkout session; the app-wide Catalog token never leaves the
+// server, and a failed exchange fails the launch rather than falling back.
 // ---------------------------------------------------------------------------
-app.post('/api/embedded-checkout-url', async (req, res) => {
-  const { continue_url } = req.body;
+app.post('/api/embedded-checkout-url', lead, asyncRoute(async (req, res) => {
+  const { checkoutId, continue_url } = req.body;
+  if (!checkoutId) return res.status(400).json({ error: 'checkoutId is required' });
 
-  if (!continue_url) {
-    return res.status(400).json({ error: 'continue_url is required' });
+  const found = await findGroupSession(req.group, checkoutId);
+  if (!found) return res.status(404).json({ error: 'Checkout session not found' });
+  const { session } = found;
+
+  const continueUrl = continue_url || session.continueUrl;
+  if (!continueUrl) return res.status(409).json({ error: 'This checkout has no continue_url yet' });
+  const problem = checkoutLaunch.continueUrlProblem(continueUrl, session.shopDomain);
+  if (problem) return res.status(400).json({ error: problem });
+
+  const token = checkoutLaunch.issue({
+    groupId: req.group.id,
+    checkoutId,
+    shopDomain: session.shopDomain,
+    continueUrl,
+    email: req.session.email
+  });
+  res.json({ embedded_url: `/api/embedded-checkout/launch?token=${encodeURIComponent(token)}` });
+}));
+
+// Opened in the checkout popup – answers in plain text since a person reads it
+app.get('/api/embedded-checkout/launch', asyncRoute(async (req, res) => {
+  if (!req.session) return res.status(401).type('text').send('Sign in to the gift registry first.');
+
+  let claims;
+  try {
+    claims = await checkoutLaunch.redeem(req.query.token, { email: req.session.email });
+  } catch (err) {
+    const status = err.code === 'LAUNCH_FORBIDDEN' ? 403 : 410;
+    return res.status(status).type('text').send(`${err.message}. Start the checkout again from the gift registry.`);
   }
 
+  let checkoutToken;
   try {
-    const token = await getCatalogToken();
-    const checkoutURL = new URL(continue_url);
-
-    // ECP query params per https://ucp.dev/specification/embedded-checkout/
-    checkoutURL.searchParams.set('ec_version', '2026-01-11');
-    checkoutURL.searchParams.set('ec_auth', token);
-    // Delegate fulfillment address — checkout will fire
-    // ec.fulfillment.address_change_request which the host responds to.
-    // Payment is NOT delegated; the embedded checkout handles it.
-    checkoutURL.searchParams.set('ec_delegate', 'fulfillment.address_change');
-    // Skip Shop Pay redirect — without this the continue_url redirects
-    // through shop.app which requires an active Shop Pay session,
-    // causing a redirect loop that ends at the shop homepage.
-    checkoutURL.searchParams.set('skip_shop_pay', 'true');
-
-    console.log('[ECP] Built embedded URL:', checkoutURL.toString());
-    res.json({ embedded_url: checkoutURL.toString() });
+    checkoutToken = await catalog.getCheckoutToken({ shopDomain: claims.shopDomain, checkoutId: claims.checkoutId });
   } catch (err) {
-    console.error('[ECP] Error building URL:', err);
-    res.status(500).json({ error: err.message });
+    logger.error('Checkout token exchange failed', { scope: 'ECP', checkoutId: claims.checkoutId, shopDomain: claims.shopDomain, error: err });
+    return res.status(502).type('text').send('The checkout could not be opened right now. Start the checkout again from the gift registry.');
   }
-});
+  logger.info('Launching checkout', { scope: 'ECP', checkoutId: claims.checkoutId, shopDomain: claims.shopDomain });
+  res.set({ 'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer' });
+  res.redirect(checkoutLaunch.embeddedUrl(claims.continueUrl, checkoutToken));
+}));
+
+// ---------------------------------------------------------------------------
+// Order tracking – what the group bought and its history (funded, purchased,
+// shipped, delivered, canceled). Members get the recipient trimmed to
+// name + city/region/country, same as in the group view.
+// ---------------------------------------------------------------------------
+app.get('/api/groups/:id/timeline', anyMember, asyncRoute(async (req, res) => {
+  res.json(timelineView(req.group, { role: req.role, memberId: req.member?.id }));
+}));
+
+// Transactional mail received on the group's relay address
+app.get('/api/groups/:id/relay-messages', lead, asyncRoute(async (req, res) => {
+  const { group } = req;
+  const messages = (await store.list('relayMessages'))
+    .filter(m => m.groupId === group.id)
+    .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+  res.json({ relayEmail: group.relayEmail, messages });
+}));
 
-app.get('/api/groups/:id', (req, res) => {
-  const group = groups[req.params.id];
-  if (!group) return res.status(404).json({ error: 'Group not found' });
-  res.json({ group });
+app.get('/api/groups/:id', anyMember, asyncRoute(async (req, res) => {
+  const { group } = req;
+  res.json({ group: groupView(group, { role: req.role, memberId: req.member?.id }) });
+}));
+
+// Last-resort handler for errors forwarded by asyncRoute (e.g. store failures)
+app.use((err, req, res, next) => {
+  logger.error('Unhandled error', { scope: 'Server', route: routeOf(req), error: err });
+  if (res.headersSent) return next(err);
+  res.status(500).json({ error: err.message || 'Internal server error' });
 });
 
 // ---------------------------------------------------------------------------
@@ -542,5 +1532,30 @@ const sslOptions = {
 };
 
 https.createServer(sslOptions, app).listen(PORT, () => {
-  console.log(`🔒 HTTPS server running on https://localhost:${PORT}`);
+  logger.info(`🔒 HTTPS server running on https://localhost:${PORT}`, { logLevel: logger.level });
 });
+
+// Occasion reminders and the auto-lock cutoff; SCHEDULER_INTERVAL_SECONDS=0 turns it off
+const SCHEDULER_INTERVAL_SECONDS = parseInt(process.env.SCHEDULER_INTERVAL_SECONDS || '300', 10);
+if (SCHEDULER_INTERVAL_SECONDS > 0) {
+  createScheduler({
+    store,
+    notifier,
+    intervalMs: SCHEDULER_INTERVAL_SECONDS * 1000,
+    // Funding is tracked on the group the scheduler saves; it mails afterwards
+    lockGift: (group, memberId, now) => {
+      const result = lockGift(group, [], memberId, now);
+      return result.error ? result : { ...result, funded: trackFunding(group) };
+    }
+  }).start();
+}
+
+// Inbound relay mail – only meaningful when RELAY_EMAIL is configured
+if (process.env.RELAY_EMAIL) {
+  createRelayInbox({
+    store,
+    mailer,
+    port: parseInt(process.env.RELAY_SMTP_PORT || '2525', 10),
+    host: process.env.RELAY_SMTP_HOST || '127.0.0.1'
+  }).start().catch(err => logger.error('Failed to start inbox', { scope: 'Relay', error: err.message }));
+}
@@ -0,0 +1,31 @@
+// ---------------------------------------------------------------------------
+// Occasion dates and purchase deadlines (lib/occasions.js)
+// ---------------------------------------------------------------------------
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildOccasion } = require('../lib/occasions');
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+test('the default deadline is the end of the day a week before the occasion', () => {
+  const { occasion } = buildOccasion({ date: '2026-12-10' }, NOW);
+  assert.equal(occasion.deadline, '2026-12-03T23:59:59.000Z');
+});
+
+test('an occasion less than a week away defaults to the end of the day before it', () => {
+  assert.equal(buildOccasion({ date: '2026-10-22' }, NOW).occasion.deadline, '2026-10-21T23:59:59.000Z');
+  assert.equal(buildOccasion({ date: '2026-10-20' }, NOW).occasion.deadline, '2026-10-19T23:59:59.000Z');
+});
+
+test('an occasion today needs an explicit deadline', () => {
+  assert.match(buildOccasion({ date: '2026-10-19' }, NOW).error, /set a deadline/);
+  assert.equal(buildOccasion({ date: '2026-10-19', deadline: '2026-10-19' }, NOW).occasion.deadline, '2026-10-19T23:59:59.000Z');
+});
+
+test('explicit deadlines must be valid, upcoming and not after the occasion', () => {
+  assert.match(buildOccasion({ date: '2026-02-31' }, NOW).error, /calendar date/);
+  assert.match(buildOccasion({ date: '2026-12-10', deadline: 'soon' }, NOW).error, /deadline must be/);
+  assert.match(buildOccasion({ date: '2026-12-10', deadline: '2026-10-01' }, NOW).error, /already passed/);
+  assert.match(buildOccasion({ date: '2026-12-10', deadline: '2026-12-12' }, NOW).error, /after the occasion/);
+});
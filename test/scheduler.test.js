@@ -0,0 +1,154 @@
+// ---------------------------------------------------------------------------
+// Occasion scheduler (lib/scheduler.js) driven through time with its injected
+// clock, against the memory store and a mailer that records what was sent
+// ---------------------------------------------------------------------------
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createStore } = require('../lib/store');
+const { createScheduler } = require('../lib/scheduler');
+const { createNotifier } = require('../lib/notifications');
+const occasions = require('../lib/occasions');
+const contributions = require('../lib/contributions');
+const wishlist = require('../lib/wishlist');
+const orders = require('../lib/orders');
+
+const DAY_MS = 24 * 3600 * 1000;
+const CREATED = Date.parse('2026-11-01T00:00:00Z');
+// Explicit deadline → end of 2026-12-01 UTC
+const DEADLINE = Date.parse('2026-12-01T23:59:59Z');
+
+function makeGroup() {
+  const { occasion } = occasions.buildOccasion({ name: 'Birthday', date: '2026-12-10', deadline: '2026-12-01' }, CREATED);
+  const group = {
+    id: 'g1',
+    lead: { firstName: 'Ann', lastName: 'Lead', email: 'ann@example.com' },
+    recipient: { firstName: 'Rita' },
+    members: [
+      { id: 'ann', isLead: true, firstName: 'Ann', email: 'ann@example.com', status: 'accepted' },
+      { id: 'mo', firstName: 'Mo', email: 'mo@example.com', status: 'accepted' }
+    ],
+    contributions: { ...contributions.emptyContributions(), pledges: { ann: { type: 'amount', value: 5000 } } },
+    ...wishlist.emptyWishlist(),
+    orders: [],
+    timeline: [],
+    occasion
+  };
+  const { item } = wishlist.addItem(group, { id: 'p1', variantId: 'v1', title: 'Teapot', price: '50.00', currency: 'USD' }, 'ann');
+  // Both voted; only Mo still owes a pledge
+  group.votes = { ann: [item.id], mo: [item.id] };
+  return group;
+}
+
+// The server's wiring: lock on the top-ranked item, target from its price,
+// funding tracked on the group the scheduler is about to save
+function lockGift(group, memberId, now) {
+  const { selected, error } = wishlist.lockSelection(group, { picks: [], memberId }, now);
+  if (error) return { error };
+  group.contributions.targetAmount = contributions.toCents(selected[0].item.product.price) * selected[0].quantity;
+  if (!contributions.updateFunding(group, now)) return { selected, funded: null };
+  return { selected, funded: orders.addTimeline(group, 'funded', { targetAmount: group.contributions.targetAmount }, now).detail };
+}
+
+async function setup({ onSend } = {}) {
+  const store = createStore({ driver: 'memory' });
+  await store.put('groups', 'g1', makeGroup());
+  const sent = [];
+  const mailer = {
+    async send(message) {
+      // What the store held when this mail went out
+      sent.push({ ...message, stored: await store.get('groups', 'g1') });
+      if (onSend) await onSend(store, message);
+    }
+  };
+  let clock = CREATED;
+  const scheduler = createScheduler({
+    store,
+    notifier: createNotifier({ mailer, appUrl: 'https://gifts.example' }),
+    lockGift,
+    now: () => clock
+  });
+  return { store, sent, scheduler, at: ms => { clock = ms; } };
+}
+
+test('does nothing before the first reminder is due', async () => {
+  const { sent, scheduler, at } = await setup();
+  at(DEADLINE - 8 * DAY_MS);
+  assert.deepEqual(await scheduler.runOnce(), { groups: 1, reminders: 0, autoLocked: 0, prompted: 0 });
+  assert.equal(sent.length, 0);
+});
+
+test('reminds members who still owe a pledge once per step', async () => {
+  const { store, sent, scheduler, at } = await setup();
+
+  at(DEADLINE - 7 * DAY_MS);
+  assert.equal((await scheduler.runOnce()).reminders, 1);
+  assert.deepEqual(sent.map(m => m.to), ['mo@example.com']);
+
+  // Same step again: nothing new
+  at(DEADLINE - 6 * DAY_MS);
+  assert.equal((await scheduler.runOnce()).reminders, 0);
+
+  at(DEADLINE - 3 * DAY_MS);
+  assert.equal((await scheduler.runOnce()).reminders, 1);
+  assert.deepEqual((await store.get('groups', 'g1')).occasion.remindersSent, [7, 3]);
+});
+
+test('a late occasion only sends the closest reminder but marks every step', async () => {
+  const { store, sent, scheduler, at } = await setup();
+  at(DEADLINE - 2 * DAY_MS - 3600 * 1000 * 12);
+  await scheduler.runOnce();
+  assert.equal(sent.filter(m => /Reminder/.test(m.subject)).length, 1);
+  assert.deepEqual((await store.get('groups', 'g1')).occasion.remindersSent, [7, 3]);
+});
+
+test('keeps a pledge made while reminders are being sent', async () => {
+  const { store, scheduler, at } = await setup({
+    async onSend(store) {
+      const group = await store.get('groups', 'g1');
+      group.contributions.pledges.mo = { type: 'even' };
+      await store.put('groups', 'g1', group);
+    }
+  });
+  at(DEADLINE - 7 * DAY_MS);
+  await scheduler.runOnce();
+  const group = await store.get('groups', 'g1');
+  assert.deepEqual(group.contributions.pledges.mo, { type: 'even' });
+  assert.deepEqual(group.occasion.remindersSent, [7]);
+});
+
+test('at the cutoff locks the top item, then mails funded and the checkout prompt after saving', async () => {
+  const { store, sent, scheduler, at } = await setup();
+  at(occasions.cutoffTime(makeGroup().occasion));
+
+  const totals = await scheduler.runOnce();
+  assert.equal(totals.autoLocked, 1);
+  assert.equal(totals.prompted, 1);
+
+  const group = await store.get('groups', 'g1');
+  assert.equal(group.selection.items.length, 1);
+  assert.ok(group.occasion.cutoffAt);
+  assert.deepEqual(group.timeline.map(e => e.type).sort(), ['auto_locked', 'funded']);
+
+  const funded = sent.filter(m => /fully funded/.test(m.subject));
+  assert.equal(funded.length, 2);
+  for (const mail of funded) assert.ok(mail.stored.contributions.fundedAt, 'funded mail sent before the group was saved');
+  const prompt = sent.find(m => /Time to buy/.test(m.subject));
+  assert.equal(prompt.to, 'ann@example.com');
+  assert.ok(prompt.stored.selection);
+
+  // The cutoff is handled once
+  at(DEADLINE - 3600 * 1000);
+  assert.equal((await scheduler.runOnce()).prompted, 0);
+});
+
+test('nothing is chased once the gift was bought', async () => {
+  const { store, sent, scheduler, at } = await setup();
+  const group = await store.get('groups', 'g1');
+  group.orders.push({ id: 'o1', status: 'purchased' });
+  await store.put('groups', 'g1', group);
+
+  at(DEADLINE - 3600 * 1000);
+  await scheduler.runOnce();
+  assert.equal(sent.length, 0);
+});
@@ -0,0 +1,225 @@
+// ---------------------------------------------------------------------------
+// End-to-end smoke test against the offline stand-ins (mock/server.js)
+// The mock services run in this process; the app runs as a child process, the
+// way `npm start` runs it, pointed at them with the memory store and mail on
+// stdout (sign-in and invite links are read from there). One group goes from
+// pledges to funded, through create-checkout, to an order webhook.
+// ---------------------------------------------------------------------------
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const https = require('https');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const { createMockServices } = require('../mock/server');
+const { createWebhookVerifier, SIGNATURE_HEADER } = require('../lib/webhooks');
+
+const WEBHOOK_SECRET = crypto.randomBytes(32).toString('hex');
+const STARTUP_MS = 15000;
+const WAIT_MS = 5000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+    server.on('error', reject);
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let mock = null;
+let app = null;
+let base = null;
+let output = '';
+
+// Next match of `pattern` in the app's output after `from` (an output offset)
+async function waitForOutput(pattern, from, timeoutMs = WAIT_MS) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const match = output.slice(from).match(pattern);
+    if (match) return match;
+    await sleep(50);
+  }
+  throw new Error(`No ${pattern} in the app output`);
+}
+
+// HTTPS call to the app (self-signed cert) → { status, headers, body }
+function call(method, url, { body, cookie, headers = {} } = {}) {
+  const payload = body === undefined ? null : typeof body === 'string' ? body : JSON.stringify(body);
+  return new Promise((resolve, reject) => {
+    const req = https.request(`${base}${url}`, {
+      method,
+      rejectUnauthorized: false,
+      headers: {
+        ...(payload !== null ? { 'content-type': 'application/json' } : {}),
+        ...(cookie ? { cookie } : {}),
+        ...headers
+      }
+    }, res => {
+      let raw = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { raw += chunk; });
+      res.on('end', () => {
+        let parsed = raw;
+        try { parsed = JSON.parse(raw); } catch (_) { /* redirects and pages */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: parsed });
+      });
+    });
+    req.on('error', reject);
+    if (payload !== null) req.write(payload);
+    req.end();
+  });
+}
+
+const sessionCookie = res => (res.headers['set-cookie'] || []).map(c => c.split(';')[0]).find(c => c.startsWith('gift_sid='));
+
+async function signIn(email) {
+  const from = output.length;
+  assert.equal((await call('POST', '/api/auth/login', { body: { email } })).status, 200);
+  const [, token] = await waitForOutput(/verify\?token=(\S+)/, from);
+  const res = await call('GET', `/api/auth/verify?token=${token}`);
+  assert.equal(res.status, 302);
+  return sessionCookie(res);
+}
+
+const webhooks = createWebhookVerifier({ secret: WEBHOOK_SECRET });
+function deliver(event) {
+  const raw = JSON.stringify(event);
+  return call('POST', '/api/webhooks/orders', { body: raw, headers: { [SIGNATURE_HEADER]: webhooks.sign(Buffer.from(raw)) } });
+}
+
+test.before(async () => {
+  const mockPort = await freePort();
+  const mockUrl = `http://127.0.0.1:${mockPort}`;
+  mock = createMockServices({ baseUrl: mockUrl }).listen(mockPort, '127.0.0.1');
+
+  const port = await freePort();
+  base = `https://localhost:${port}`;
+  app = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    // Outside the repo, so a developer's .env is not picked up
+    cwd: os.tmpdir(),
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      STORE_DRIVER: 'memory',
+      MAIL_TRANSPORT: 'stdout',
+      SCHEDULER_INTERVAL_SECONDS: '0',
+      APP_SECRET: crypto.randomBytes(32).toString('hex'),
+      ORDER_WEBHOOK_SECRET: WEBHOOK_SECRET,
+      RELAY_EMAIL: 'relay@example.com',
+      RELAY_SMTP_PORT: String(await freePort()),
+      SHOPIFY_CATALOG_CLIENT_ID: 'mock',
+      SHOPIFY_CATALOG_CLIENT_SECRET: 'mock',
+      CATALOG_AUTH_URL: `${mockUrl}/auth/access_token`,
+      CATALOG_API_URL: `${mockUrl}/global/v2`,
+      CARD_SERVER_URL: `${mockUrl}/sessions`,
+      UCP_ENDPOINT_TEMPLATE: `${mockUrl}/shops/{shopDomain}/api/ucp/mcp`
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  app.stdout.setEncoding('utf8').on('data', chunk => { output += chunk; });
+  app.stderr.setEncoding('utf8').on('data', chunk => { output += chunk; });
+
+  const exited = new Promise((_, reject) => app.once('exit', code => reject(new Error(`App exited (${code}):\n${output}`))));
+  await Promise.race([waitForOutput(/HTTPS server running/, 0, STARTUP_MS), exited]);
+});
+
+test.after(async () => {
+  if (app && app.exitCode === null) {
+    const exit = new Promise(resolve => app.once('exit', resolve));
+    app.kill();
+    await exit;
+  }
+  if (mock) await new Promise(resolve => mock.close(resolve));
+});
+
+test('a group gift goes from pledges to funded, to checkout, to a webhook-confirmed order', async t => {
+  const lead = await signIn('ann@example.com');
+  assert.ok(lead, 'lead has a session cookie');
+
+  const { body: created } = await call('POST', '/api/groups', { cookie: lead, body: { firstName: 'Ann', lastName: 'Lead' } });
+  const groupId = created.group.id;
+  const leadId = created.group.members[0].id;
+  const api = `/api/groups/${groupId}`;
+
+  assert.equal((await call('POST', `${api}/recipient`, {
+    cookie: lead,
+    body: { firstName: 'Rita', lastName: 'C', address1: '1 Main St', city: 'New York', state: 'NY', postalCode: '10001', country: 'US' }
+  })).status, 200);
+  await call('GET', '/api/products?q=tea');
+  const { body: added } = await call('POST', `${api}/wishlist`, { cookie: lead, body: { productId: 'gid://shopify/p/mock-teapot' } });
+  assert.equal((await call('POST', `${api}/wishlist/lock`, { cookie: lead, body: { items: [{ itemId: added.item.id }] } })).status, 200);
+
+  let member;
+  await t.test('an invited member accepts and is signed in', async () => {
+    const from = output.length;
+    assert.equal((await call('POST', `${api}/members`, { cookie: lead, body: { firstName: 'Mo', lastName: 'M', email: 'mo@example.com' } })).status, 200);
+    const [, token] = await waitForOutput(/\?invite=(\S+)/, from);
+    const res = await call('POST', `/api/invites/${token}/accept`);
+    assert.equal(res.status, 200);
+    member = sessionCookie(res);
+    assert.ok(member);
+  });
+
+  await t.test('checkout waits until pledges cover the target', async () => {
+    const { body } = await call('PUT', `${api}/pledges/${leadId}`, { cookie: lead, body: { type: 'percent', value: 50 } });
+    assert.equal(body.contributions.fullyFunded, false);
+
+    const res = await call('POST', '/api/create-checkout', { cookie: lead, body: { groupId } });
+    assert.equal(res.status, 409);
+    assert.match(res.body.error, /not fully funded/);
+  });
+
+  await t.test('the last pledge funds the group once and mails everyone', async () => {
+    const { body: view } = await call('GET', api, { cookie: member });
+    const memberId = view.group.members.find(m => m.email === 'mo@example.com').id;
+    const from = output.length;
+    const { body } = await call('PUT', `${api}/pledges/${memberId}`, { cookie: member, body: { type: 'even' } });
+    assert.equal(body.contributions.fullyFunded, true);
+    await waitForOutput(/fully funded/, from);
+
+    const { body: timeline } = await call('GET', `${api}/timeline`, { cookie: lead });
+    assert.equal(timeline.timeline.filter(e => e.type === 'funded').length, 1);
+  });
+
+  let checkoutId;
+  await t.test('create-checkout opens a merchant session and blocks a second one', async () => {
+    const res = await call('POST', '/api/create-checkout', { cookie: lead, body: { groupId } });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    const [session] = res.body.groupOrder.sessions;
+    assert.equal(session.shopDomain, 'mock-home.test');
+    assert.equal(session.status, 'ready_for_complete');
+    checkoutId = session.checkoutId;
+
+    const again = await call('POST', '/api/create-checkout', { cookie: lead, body: { groupId } });
+    assert.equal(again.status, 409);
+    assert.match(again.body.error, /already in progress/);
+  });
+
+  await t.test('a signed order webhook completes the session and records the purchase', async () => {
+    const unsigned = await call('POST', '/api/webhooks/orders', { body: { id: 'evt_0', type: 'order.created' } });
+    assert.equal(unsigned.status, 401);
+
+    const order = { id: 'gid://shopify/Order/1', checkout_id: checkoutId, status: 'confirmed' };
+    const elsewhere = await deliver({ id: 'evt_1', type: 'order.created', shop_domain: 'mock-toys.test', order });
+    assert.deepEqual(elsewhere.body, { received: true, matched: false });
+
+    const event = { id: 'evt_2', type: 'order.created', shop_domain: 'mock-home.test', order };
+    assert.deepEqual((await deliver(event)).body, { received: true, matched: true });
+    assert.deepEqual((await deliver(event)).body, { received: true, duplicate: true });
+
+    const { body } = await call('GET', `${api}/group-orders`, { cookie: lead });
+    const [groupOrder] = body.groupOrders;
+    assert.equal(groupOrder.status, 'completed');
+    assert.equal(groupOrder.sessions[0].orderId, order.id);
+
+    const { body: timeline } = await call('GET', `${api}/timeline`, { cookie: lead });
+    assert.ok(timeline.timeline.some(e => e.type === 'purchased' && e.detail.orderId === order.id));
+  });
+});
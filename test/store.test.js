@@ -0,0 +1,43 @@
+// ---------------------------------------------------------------------------
+// Store adapters (lib/store) – prune() on both drivers
+// ---------------------------------------------------------------------------
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createStore } = require('../lib/store');
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const expired = session => Date.parse(session.expiresAt) <= NOW;
+
+async function seed(store) {
+  await store.put('sessions', 'old', { id: 'old', expiresAt: '2026-10-18T00:00:00Z' });
+  await store.put('sessions', 'new', { id: 'new', expiresAt: '2026-11-18T00:00:00Z' });
+  await store.put('groups', 'g1', { id: 'g1', expiresAt: '2026-10-18T00:00:00Z' });
+}
+
+test('memory store prunes only matching documents of one collection', async () => {
+  const store = createStore({ driver: 'memory' });
+  await seed(store);
+  assert.equal(await store.prune('sessions', expired), 1);
+  assert.deepEqual((await store.list('sessions')).map(s => s.id), ['new']);
+  assert.ok(await store.get('groups', 'g1'));
+  assert.equal(await store.prune('sessions', expired), 0);
+});
+
+test('file store persists what it pruned', async t => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'store-test-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'store.json');
+
+  const store = createStore({ driver: 'file', path: file });
+  await seed(store);
+  assert.equal(await store.prune('sessions', expired), 1);
+  await store.close();
+
+  const reopened = createStore({ driver: 'file', path: file });
+  assert.equal(await reopened.get('sessions', 'old'), null);
+  assert.ok(await reopened.get('sessions', 'new'));
+});